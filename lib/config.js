@@ -1,10 +1,16 @@
 const config = {
 	personalAccessToken: {
 		title: 'Personal Access Token',
-		description: 'Your personal GitHub access token. This can also be stored in the environment variable `GITHUB_TOKEN`.',
+		description: 'Your personal GitHub access token. It is moved to a keychain provided by another package (or a file if `Store Credentials In File` is checked) the next time it is used. This can also be stored in the environment variable `GITHUB_TOKEN`.',
 		type: 'string',
 		default: '',
 	},
+	storeCredentialsInFile: {
+		title: 'Store Credentials In File',
+		description: 'Without a keychain, move the personal access token to an encrypted file in the Atom storage folder. Unless the key is set in the environment variable `SYNC_SETTINGS_CREDENTIALS_KEY` it is saved next to the file, which only protects the token from casual reading.',
+		type: 'boolean',
+		default: false,
+	},
 	gistId: {
 		title: 'Gist ID',
 		description: 'ID of gist to use for configuration storage. This can also be stored in the environment variable `GIST_ID`.',
@@ -29,12 +35,92 @@ const config = {
 		type: 'string',
 		default: process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy || '',
 	},
+	backupLocation: {
+		title: 'Backup Location',
+		description: 'Where to store your backup. Ignored when `Use Other Backup Location` is checked.',
+		type: 'string',
+		default: 'gist',
+		enum: [
+			{
+				value: 'gist',
+				description: 'GitHub Gist',
+			},
+			{
+				value: 'folder',
+				description: 'Local Folder',
+			},
+			{
+				value: 'git',
+				description: 'Git Repository',
+			},
+		],
+	},
+	folderPath: {
+		title: 'Folder Path',
+		description: 'Absolute path of the folder used with the `Local Folder` backup location. This can also be stored in the environment variable `SYNC_SETTINGS_FOLDER`.',
+		type: 'string',
+		default: '',
+	},
+	gitRepoPath: {
+		title: 'Git Repository Path',
+		description: 'Absolute path of the local git repository used with the `Git Repository` backup location. A commit is made for every backup. This can also be stored in the environment variable `SYNC_SETTINGS_GIT_REPO`.',
+		type: 'string',
+		default: '',
+	},
+	gitRemote: {
+		title: 'Git Remote',
+		description: 'Optional URL of a remote repository (e.g. `file:///mnt/share/atom-settings.git`) to pull from and push to.',
+		type: 'string',
+		default: '',
+	},
+	baseBackups: {
+		title: 'Base Backups',
+		description: 'Comma-seperated list of shared backups (gist IDs or absolute folder paths) layered under your backup. `settings.json` and `packages.json` are merged in order with your backup on top and only your changes to them are backed up.',
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
 	useOtherLocation: {
 		title: 'Use Other Backup Location',
 		description: 'You will need to install another package which provides a backup location.<br />https://atom.io/packages/search?q=sync-settings+location',
 		type: 'boolean',
 		default: false,
 	},
+	encryptBackup: {
+		title: 'Encrypt Backup',
+		description: 'Encrypt the content of every backed up file with `Encryption Passphrase` before it is sent to the backup location. File names are not encrypted.',
+		type: 'boolean',
+		default: false,
+	},
+	encryptionPassphrase: {
+		title: 'Encryption Passphrase',
+		description: 'Passphrase used to encrypt and decrypt your backup. This can also be stored in the environment variable `SYNC_SETTINGS_PASSPHRASE`. If you lose it your backup cannot be restored.',
+		type: 'string',
+		default: '',
+	},
+	scanSecrets: {
+		title: 'Scan For Secrets',
+		description: 'Block a backup if settings or files seem to contain tokens, private keys, passwords or other high entropy strings.',
+		type: 'boolean',
+		default: true,
+	},
+	secretsAllowlist: {
+		title: 'Secrets Allowlist',
+		description: 'Comma-seperated list of IDs of secret findings that are safe to back up.',
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
+	redactSecrets: {
+		title: 'Redact Secrets',
+		description: 'Back up secret findings as `<redacted by sync-settings>` instead of blocking the backup. Redacted values keep their local value on restore.',
+		type: 'boolean',
+		default: false,
+	},
 	syncSettings: {
 		title: 'Sync Settings',
 		type: 'boolean',
@@ -42,13 +128,47 @@ const config = {
 	},
 	disallowedSettings: {
 		title: 'Disallowed Settings',
-		description: "Comma-seperated list of settings that should not be backed up (e.g. 'package-name,other-package-name.config-name').",
+		description: "Comma-seperated list of settings that should not be backed up (e.g. 'package-name,other-package-name.config-name,linter-*.executablePath,/token$/i'). `*` matches any part of a key, `**` any number of keys and patterns like `/regex/` are matched against the whole key path. Disallowed settings are removed from every scope and keep their local values on restore.",
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
+	allowedSettings: {
+		title: 'Allowed Settings',
+		description: "Comma-seperated list of rules for settings to sync (e.g. 'editor,sync-settings.quietUpdateCheck,!linter-*'). `*` matches any part of a key and `**` any number of keys. Rules starting with `!` exclude settings and the last matching rule wins. Without including rules all settings not excluded are synced.",
 		type: 'array',
 		default: [],
 		items: {
 			type: 'string',
 		},
 	},
+	platformSpecificSettings: {
+		title: 'Platform Specific Settings',
+		description: "Comma-seperated list of settings backed up separately for each platform (e.g. 'linter-eslint.eslintPath,terminal-*.shell'). Patterns work like `Disallowed Settings`. Only the values backed up on the same platform are restored.",
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
+	hostnameSpecificSettings: {
+		title: 'Hostname Specific Settings',
+		description: 'Comma-seperated list of settings backed up separately for each hostname. Patterns work like `Disallowed Settings`. Only the values backed up on the same machine are restored.',
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
+	substitutePaths: {
+		title: 'Substitute Paths',
+		// eslint-disable-next-line no-template-curly-in-string
+		description: 'Replace your Atom config directory, home directory and username in settings with `${ATOM_HOME}`, `${HOME}` and `${USER}` when backing up and expand them on restore.',
+		type: 'boolean',
+		default: false,
+	},
 	syncPackages: {
 		title: 'Sync Packages',
 		type: 'boolean',
@@ -61,7 +181,28 @@ const config = {
 	},
 	installLatestVersion: {
 		title: 'Always Install Latest Version',
-		description: 'Always install latest version of packages and themes instead of backed up version.',
+		description: 'Always install latest version of missing packages and themes instead of backed up version. Installed packages are still updated to the backed up version.',
+		type: 'boolean',
+		default: false,
+	},
+	packageVersionPolicies: {
+		title: 'Package Version Policies',
+		description: 'Comma-seperated list of `package@policy` backed up in `packages.json`. `exact` (default) installs the backed up version, a semver range (e.g. `minimap@^4.0.0`) installs the backed up version and only syncs installed versions out of the range, `latest` installs the latest version and `frozen` installs the backed up version and keeps the installed version.',
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
+	updatePackages: {
+		title: 'Update Packages',
+		description: 'Upgrade installed packages and themes to the backed up version when restoring backups.',
+		type: 'boolean',
+		default: true,
+	},
+	downgradePackages: {
+		title: 'Downgrade Packages',
+		description: 'Also downgrade installed packages and themes that are newer than the backed up version when restoring backups.',
 		type: 'boolean',
 		default: false,
 	},
@@ -124,12 +265,55 @@ const config = {
 			type: 'string',
 		},
 	},
+	platformSpecificFiles: {
+		title: 'Platform Specific Files',
+		description: 'Comma-seperated list of globs of extra files backed up separately for each platform.',
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
+	hostnameSpecificFiles: {
+		title: 'Hostname Specific Files',
+		description: 'Comma-seperated list of globs of extra files backed up separately for each hostname.',
+		type: 'array',
+		default: [],
+		items: {
+			type: 'string',
+		},
+	},
+	substitutePathsInFiles: {
+		title: 'Substitute Paths In Files',
+		description: 'Also substitute paths in text files from `Extra Files` and `Extra Files Glob`.',
+		type: 'boolean',
+		default: false,
+	},
+	renderTemplates: {
+		title: 'Render Templates',
+		description: 'Render `{{platform}}`, `{{hostname}}`, `{{username}}`, `{{env.NAME}}` and `{{#platform darwin}}...{{/platform}}` blocks in restored files. The backup keeps the template.',
+		type: 'boolean',
+		default: false,
+	},
 	removeUnfamiliarFiles: {
 		title: 'Remove Unfamiliar Files',
 		description: 'Remove files in Extra Files and Extra Files Glob not in backup on Restore or not found locally on Backup.',
 		type: 'boolean',
 		default: false,
 	},
+	restoreSnapshots: {
+		title: 'Restore Snapshots',
+		description: 'Number of local snapshots taken before a restore to keep for `sync-settings:undo-restore`. Set to 0 to disable.',
+		type: 'integer',
+		default: 5,
+		minimum: 0,
+	},
+	undoRestorePackages: {
+		title: 'Undo Restore Packages',
+		description: 'Install, update and remove packages on `sync-settings:undo-restore` to match the snapshot.',
+		type: 'boolean',
+		default: false,
+	},
 	autoCheckForUpdatedBackup: {
 		title: 'Auto Check Backup',
 		description: 'Check for newer backup on Atom start.',
@@ -158,6 +342,33 @@ const config = {
 			},
 		],
 	},
+	autoCheckInterval: {
+		title: 'Auto Check Interval',
+		description: 'Minutes between checks for a newer backup while Atom is open, using the Auto Check Backup mode. Checks pause while the window is unfocused or offline. Set to 0 to only check on start.',
+		type: 'integer',
+		default: 0,
+		minimum: 0,
+	},
+	liveBackup: {
+		title: 'Live Backup',
+		description: 'Back up automatically whenever settings or synced files change.',
+		type: 'boolean',
+		default: false,
+	},
+	liveBackupDelay: {
+		title: 'Live Backup Delay',
+		description: 'Seconds to wait after the last change before backing up.',
+		type: 'integer',
+		default: 10,
+		minimum: 1,
+	},
+	liveBackupInterval: {
+		title: 'Live Backup Interval',
+		description: 'Minimum seconds between two live backups.',
+		type: 'integer',
+		default: 60,
+		minimum: 0,
+	},
 	quietUpdateCheck: {
 		title: 'Quiet Auto Check Backup',
 		type: 'boolean',
@@ -183,6 +394,18 @@ const config = {
 				default: '',
 				description: 'Time of the last backup restored or created.',
 			},
+			_activeProfile: {
+				title: 'Active Profile',
+				type: 'string',
+				default: '',
+				description: 'Name of the profile currently in use.',
+			},
+			_profiles: {
+				title: 'Profiles',
+				type: 'object',
+				default: {},
+				description: 'Saved settings of each profile.',
+			},
 			_warnBackupConfig: {
 				title: 'Warn Backup Config',
 				description: 'Warn about access token when `config.cson` is listed as an extra file to back up.',
@@ -0,0 +1,255 @@
+const path = require('path')
+const { pathToFileURL } = require('url')
+const fs = require('fs-extra')
+const notify = require('../utils/notify')
+const { fileNameToPath, readFiles, writeFiles } = require('../utils/backup-folder')
+const { InputView } = require('atom-modal-views')
+
+// stores the time of the last update since file modification times are not reliable on synced folders
+const METADATA_FILE = '.sync-settings.json'
+
+async function invalidFolderPath (invalidPath) {
+	let resolveFn
+	let rejectFn
+	const promise = new Promise((resolve, reject) => {
+		resolveFn = resolve
+		rejectFn = reject
+	})
+	let rejectOnDismiss = true
+
+	const notification = notify.error(invalidPath ? 'Invalid Folder Path' : 'No Folder Path', {
+		description: invalidPath
+			? `No backup found in folder \`${invalidPath}\``
+			: 'No Folder Path found in settings or `SYNC_SETTINGS_FOLDER`',
+		dismissable: true,
+		buttons: [{
+			text: 'Enter Folder Path',
+			async onDidClick () {
+				rejectOnDismiss = false
+				notification.dismiss()
+				const inputView = new InputView({
+					title: 'Enter Folder Path',
+					description: 'The absolute path to the folder where your backup should be stored.',
+					placeholder: 'Folder Path',
+					value: invalidPath,
+				})
+				const folderPath = await inputView.getInput()
+				if (folderPath) {
+					atom.config.set('sync-settings.folderPath', folderPath)
+					resolveFn(folderPath)
+				}
+				rejectFn()
+			},
+		}, {
+			text: 'Create New Backup',
+			async onDidClick () {
+				rejectOnDismiss = false
+				notification.dismiss()
+				try {
+					await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:create-backup')
+					if (atom.config.get('sync-settings.folderPath')) {
+						resolveFn(atom.config.get('sync-settings.folderPath'))
+					}
+				} catch (ex) {}
+				rejectFn()
+			},
+		}, {
+			text: 'Package settings',
+			onDidClick () {
+				notification.dismiss()
+				atom.workspace.open('atom://config/packages/sync-settings')
+			},
+		}],
+	})
+	notification.onDidDismiss(() => {
+		if (rejectOnDismiss) {
+			rejectFn()
+		}
+	})
+
+	return promise
+}
+
+async function getFolderPath (allowEmpty) {
+	let folderPath = atom.config.get('sync-settings.folderPath') || process.env.SYNC_SETTINGS_FOLDER
+	if (folderPath) {
+		return path.resolve(folderPath.trim())
+	}
+
+	if (allowEmpty) {
+		return ''
+	}
+
+	folderPath = await invalidFolderPath()
+	if (folderPath) {
+		return path.resolve(folderPath.trim())
+	}
+}
+
+async function getBackupFolderPath () {
+	const folderPath = await getFolderPath()
+	if (!await fs.pathExists(path.join(folderPath, METADATA_FILE))) {
+		await invalidFolderPath(folderPath)
+		return getBackupFolderPath()
+	}
+	return folderPath
+}
+
+async function readTime (folderPath) {
+	const metadata = await fs.readJson(path.join(folderPath, METADATA_FILE))
+	return metadata.time
+}
+
+async function writeTime (folderPath) {
+	const time = new Date().toISOString()
+	await fs.outputJson(path.join(folderPath, METADATA_FILE), { time }, { spaces: '\t' })
+	return time
+}
+
+function displayError (error, action) {
+	console.error(`Error ${action}:`, error)
+
+	notify.error(`Sync-Settings: Error ${action}`, {
+		dismissable: true,
+		detail: error.message,
+	})
+	throw error
+}
+
+module.exports = {
+	/**
+	 * Get URL for backup
+	 * @return {string} Backup URL
+	 */
+	async getUrl () {
+		const folderPath = await getFolderPath(true)
+		return folderPath ? pathToFileURL(folderPath).href : ''
+	},
+
+	/**
+	 * Create new backup location
+	 * @return {Promise} Returns empty object on success. Falsey value on silent error.
+	 */
+	async create () {
+		try {
+			const folderPath = await getFolderPath()
+			await fs.ensureDir(folderPath)
+			await writeFiles(folderPath, {
+				README: { content: Buffer.from('# Generated by Sync Settings for Atom\n\n<https://github.com/atom-community/sync-settings>') },
+			})
+			await writeTime(folderPath)
+
+			atom.config.set('sync-settings.folderPath', folderPath)
+
+			return {}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'creating backup')
+			}
+		}
+	},
+
+	/**
+	 * Get backup files and time
+	 * @return {Promise} Returns object with `files` and `time` on success. Falsey value on silent error.
+	 */
+	async get () {
+		try {
+			const folderPath = await getBackupFolderPath()
+
+			return {
+				files: await readFiles(folderPath, [METADATA_FILE]),
+				time: await readTime(folderPath),
+			}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'getting backup')
+			}
+		}
+	},
+
+	/**
+	 * Delete backup
+	 * @return {Promise} Returns empty object on success. Falsey value on silent error.
+	 */
+	async delete () {
+		try {
+			const folderPath = await getBackupFolderPath()
+			const files = await readFiles(folderPath, [METADATA_FILE])
+			for (const fileName in files) {
+				await fs.remove(fileNameToPath(folderPath, fileName))
+			}
+			await fs.remove(path.join(folderPath, METADATA_FILE))
+			try {
+				// only remove the folder if no other files are in it
+				await fs.rmdir(folderPath)
+			} catch (ex) {}
+
+			atom.config.unset('sync-settings.folderPath')
+
+			return {}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'deleting backup')
+			}
+		}
+	},
+
+	/**
+	 * Update backup and get time
+	 * @param  {object} files Files to update.
+	 * @return {Promise} Returns object with `time` on success. Falsey value on silent error.
+	 */
+	async update (files) {
+		try {
+			const folderPath = await getBackupFolderPath()
+			await writeFiles(folderPath, files)
+
+			return {
+				time: await writeTime(folderPath),
+			}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'updating backup')
+			}
+		}
+	},
+
+	/**
+	 * Fork backup
+	 * @return {Promise} Returns empty object on success. Falsey value on silent error.
+	 */
+	async fork () {
+		try {
+			const folderPath = await getFolderPath()
+
+			const inputView = new InputView({
+				title: 'Fork Folder',
+				description: `Enter the folder path of the backup that you want to copy to \`${folderPath}\`.`,
+				placeholder: 'Folder Path to Fork',
+			})
+			let forkPath = await inputView.getInput()
+			if (!forkPath) {
+				return
+			}
+			forkPath = path.resolve(forkPath.trim())
+			if (forkPath === folderPath) {
+				throw new Error('Cannot fork a backup into itself.')
+			}
+			if (!await fs.pathExists(path.join(forkPath, METADATA_FILE))) {
+				throw new Error(`No backup found in folder '${forkPath}'.`)
+			}
+
+			await fs.ensureDir(folderPath)
+			await writeFiles(folderPath, await readFiles(forkPath, [METADATA_FILE]))
+			await writeTime(folderPath)
+
+			atom.config.set('sync-settings.folderPath', folderPath)
+			return {}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'forking backup')
+			}
+		}
+	},
+}
@@ -1,5 +1,6 @@
 const GitHubApi = require('@octokit/rest')
 const notify = require('../utils/notify')
+const credentials = require('../utils/credentials')
 const isBinaryPath = require('is-binary-path')
 const { InputView } = require('atom-modal-views')
 const ProxyAgent = require('proxy-agent')
@@ -113,7 +114,7 @@ async function invalidPersonalAccessToken (invalidToken) {
 
 	const notification = notify.error(`${invalidToken ? 'Invalid' : 'No'} Personal Access Token`, {
 		description: `
-${invalidToken ? 'Invalid' : 'No'} Personal Access Token found in settings or \`GITHUB_TOKEN\`
+${invalidToken ? 'Invalid' : 'No'} Personal Access Token found in your keychain, settings or \`GITHUB_TOKEN\`
 
 Create a [new personal access token](https://github.com/settings/tokens/new?scopes=gist)
 and set the environment variable \`GITHUB_TOKEN\` or enter it in the settings.`.trim(),
@@ -131,7 +132,9 @@ and set the environment variable \`GITHUB_TOKEN\` or enter it in the settings.`.
 				})
 				const personalAccessToken = await inputView.getInput()
 				if (personalAccessToken) {
-					atom.config.set('sync-settings.personalAccessToken', personalAccessToken)
+					if (!await credentials.set('personalAccessToken', personalAccessToken.trim())) {
+						atom.config.set('sync-settings.personalAccessToken', personalAccessToken.trim())
+					}
 					resolveFn(personalAccessToken)
 				}
 				rejectFn()
@@ -154,7 +157,9 @@ and set the environment variable \`GITHUB_TOKEN\` or enter it in the settings.`.
 }
 
 async function getPersonalAccessToken (allowEmpty) {
-	let token = atom.config.get('sync-settings.personalAccessToken') || process.env.GITHUB_TOKEN
+	// tokens entered in the settings are moved to the keychain
+	await credentials.migrate()
+	let token = await credentials.get('personalAccessToken') || atom.config.get('sync-settings.personalAccessToken') || process.env.GITHUB_TOKEN
 	if (token) {
 		return token.trim()
 	}
@@ -194,6 +199,10 @@ function invalidRes (res, ...paths) {
 	return false
 }
 
+function isOffline (error) {
+	return !!error.message && error.message.includes('getaddrinfo ENOTFOUND')
+}
+
 async function displayError (error, action, retryFn, gistId, personalAccessToken) {
 	try {
 		console.error(`Error ${action}:`, error)
@@ -215,7 +224,7 @@ async function displayError (error, action, retryFn, gistId, personalAccessToken
 			return await retryFn()
 		}
 
-		if (message.includes('getaddrinfo ENOTFOUND')) {
+		if (isOffline(error)) {
 			message = 'Cannot connect to GitHub.\nAre you offline?'
 		}
 		notify.error(`Sync-Settings: Error ${action}`, {
@@ -271,15 +280,21 @@ module.exports = {
 
 	/**
 	 * Get backup files and time
-	 * @return {Promise} Returns object with `files` and `time` on success. Falsey value on silent error.
+	 * @param  {object} [options]
+	 * @param  {string} [options.version] Revision to get instead of the latest.
+	 * @param  {string} [options.gistId] Gist to get instead of the configured one. Errors are thrown instead of displayed.
+	 * @return {Promise} Returns object with `files`, `time` and `history` on success. Falsey value on silent error.
 	 */
-	async get () {
+	async get (options = {}) {
 		let gistId
 		try {
 			// getting gists doesn't require a token
 			const personalAccessToken = await getPersonalAccessToken(true)
-			gistId = await getGistId()
-			const res = await createClient(personalAccessToken).rest.gists.get({ gist_id: gistId })
+			gistId = options.gistId || await getGistId()
+			const client = createClient(personalAccessToken)
+			const res = options.version
+				? await client.rest.gists.getRevision({ gist_id: gistId, sha: options.version })
+				: await client.rest.gists.get({ gist_id: gistId })
 
 			if (invalidRes(res, ['data', 'files'], ['data', 'history', 0, 'committed_at'])) {
 				return
@@ -296,8 +311,11 @@ module.exports = {
 				history: res.data.history,
 			}
 		} catch (err) {
+			if (err && options.gistId) {
+				throw err
+			}
 			if (err) {
-				return displayError(err, 'getting backup', () => this.get(), gistId)
+				return displayError(err, 'getting backup', () => this.get(options), gistId)
 			}
 		}
 	},
@@ -327,7 +345,7 @@ module.exports = {
 	/**
 	 * Update backup and get time
 	 * @param  {object} buffers Files to update.
-	 * @return {Promise} Returns object with `time` on success. Falsey value on silent error.
+	 * @return {Promise} Returns object with `time` on success. Falsey value on silent error. Rejects with `offline` set without a connection.
 	 */
 	async update (buffers) {
 		let personalAccessToken
@@ -357,6 +375,11 @@ module.exports = {
 				time: res.data.history[0].committed_at,
 			}
 		} catch (err) {
+			if (err && isOffline(err)) {
+				// the backup is queued until we are online
+				err.offline = true
+				throw err
+			}
 			if (err) {
 				return displayError(err, 'updating backup', () => this.update(buffers), gistId, personalAccessToken)
 			}
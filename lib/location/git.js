@@ -0,0 +1,417 @@
+const path = require('path')
+const os = require('os')
+const { pathToFileURL } = require('url')
+const { execFile } = require('child_process')
+const fs = require('fs-extra')
+const notify = require('../utils/notify')
+const { fileNameToPath, pathToFileName, writeFiles } = require('../utils/backup-folder')
+const { InputView } = require('atom-modal-views')
+
+function git (cwd, ...args) {
+	return new Promise((resolve, reject) => {
+		execFile('git', args, { cwd }, (error, stdout, stderr) => {
+			if (error) {
+				error.message = (stderr || error.message).trim()
+				reject(error)
+			} else {
+				resolve(stdout.trim())
+			}
+		})
+	})
+}
+
+async function getIdentity (repoPath) {
+	// git refuses to commit without an identity
+	try {
+		await git(repoPath, 'config', 'user.name')
+		await git(repoPath, 'config', 'user.email')
+		return []
+	} catch (err) {
+		return ['-c', 'user.name=Sync-Settings', '-c', 'user.email=sync-settings@atom.io']
+	}
+}
+
+async function invalidRepoPath (invalidPath) {
+	let resolveFn
+	let rejectFn
+	const promise = new Promise((resolve, reject) => {
+		resolveFn = resolve
+		rejectFn = reject
+	})
+	let rejectOnDismiss = true
+
+	const notification = notify.error(invalidPath ? 'Invalid Git Repository' : 'No Git Repository', {
+		description: invalidPath
+			? `No git repository found at \`${invalidPath}\``
+			: 'No Git Repository Path found in settings or `SYNC_SETTINGS_GIT_REPO`',
+		dismissable: true,
+		buttons: [{
+			text: 'Enter Repository Path',
+			async onDidClick () {
+				rejectOnDismiss = false
+				notification.dismiss()
+				const inputView = new InputView({
+					title: 'Enter Repository Path',
+					description: 'The absolute path to the local git repository where your backup should be committed.',
+					placeholder: 'Repository Path',
+					value: invalidPath,
+				})
+				const repoPath = await inputView.getInput()
+				if (repoPath) {
+					atom.config.set('sync-settings.gitRepoPath', repoPath)
+					resolveFn(repoPath)
+				}
+				rejectFn()
+			},
+		}, {
+			text: 'Create New Backup',
+			async onDidClick () {
+				rejectOnDismiss = false
+				notification.dismiss()
+				try {
+					await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:create-backup')
+					if (atom.config.get('sync-settings.gitRepoPath')) {
+						resolveFn(atom.config.get('sync-settings.gitRepoPath'))
+					}
+				} catch (ex) {}
+				rejectFn()
+			},
+		}, {
+			text: 'Package settings',
+			onDidClick () {
+				notification.dismiss()
+				atom.workspace.open('atom://config/packages/sync-settings')
+			},
+		}],
+	})
+	notification.onDidDismiss(() => {
+		if (rejectOnDismiss) {
+			rejectFn()
+		}
+	})
+
+	return promise
+}
+
+async function getRepoPath (allowEmpty) {
+	let repoPath = atom.config.get('sync-settings.gitRepoPath') || process.env.SYNC_SETTINGS_GIT_REPO
+	if (repoPath) {
+		return path.resolve(repoPath.trim())
+	}
+
+	if (allowEmpty) {
+		return ''
+	}
+
+	repoPath = await invalidRepoPath()
+	if (repoPath) {
+		return path.resolve(repoPath.trim())
+	}
+}
+
+function getRemote () {
+	return (atom.config.get('sync-settings.gitRemote') || '').trim()
+}
+
+async function getBackupRepoPath () {
+	const repoPath = await getRepoPath()
+	if (!await fs.pathExists(path.join(repoPath, '.git'))) {
+		await invalidRepoPath(repoPath)
+		return getBackupRepoPath()
+	}
+	return repoPath
+}
+
+async function remoteHasBranch (repoPath, branch) {
+	const heads = await git(repoPath, 'ls-remote', '--heads', 'origin', branch)
+	return heads !== ''
+}
+
+async function pull (repoPath) {
+	if (!getRemote()) {
+		return
+	}
+	const branch = await git(repoPath, 'symbolic-ref', '--short', 'HEAD')
+	if (await remoteHasBranch(repoPath, branch)) {
+		await git(repoPath, 'pull', '--rebase', 'origin', branch)
+	}
+}
+
+async function push (repoPath) {
+	if (!getRemote()) {
+		return
+	}
+	await git(repoPath, 'push', '--set-upstream', 'origin', 'HEAD')
+}
+
+// commit messages of this location to find the files of the backup in a repository with other files
+const COMMIT_MESSAGES = ['Create backup', 'Backup from ']
+
+function backupCommitArgs () {
+	return ['--fixed-strings', ...COMMIT_MESSAGES.map(message => `--grep=${message}`)]
+}
+
+async function getTrackedFiles (repoPath) {
+	return (await git(repoPath, 'ls-files', '-z')).split('\0').filter(f => f)
+}
+
+async function getRevisionFiles (repoPath, version) {
+	// folders are trees, only blobs can be backup files
+	return (await git(repoPath, 'ls-tree', '-z', version)).split('\0').filter(e => e).map(entry => {
+		const [info, name] = entry.split('\t')
+		return { type: info.split(' ')[1], name }
+	}).filter(entry => entry.type === 'blob').map(entry => entry.name)
+}
+
+async function commit (repoPath, message, fileNames) {
+	// only stage the files of the backup so other files in the repository are left alone
+	const tracked = await getTrackedFiles(repoPath)
+	const paths = []
+	for (const fileName of fileNames) {
+		const filePath = path.relative(repoPath, fileNameToPath(repoPath, fileName))
+		if (tracked.includes(filePath) || await fs.pathExists(path.join(repoPath, filePath))) {
+			paths.push(filePath)
+		}
+	}
+	if (paths.length > 0) {
+		await git(repoPath, 'add', '--all', '--', ...paths)
+	}
+	await git(repoPath, ...await getIdentity(repoPath), 'commit', '--allow-empty', '--message', message)
+}
+
+/**
+ * Get the files committed by backups
+ * @param  {string} repoPath Path of the repository
+ * @param  {string} [version] Commit to get the files of instead of the working tree
+ * @return {Promise<string[]>} Paths relative to the repository
+ */
+async function getBackupFiles (repoPath, version) {
+	const args = ['log', '-z', '--format=', '--name-only', ...backupCommitArgs()]
+	if (version) {
+		args.push(version)
+	}
+	const committed = (await git(repoPath, ...args)).split('\0').map(f => f.trim()).filter(f => f)
+	const tracked = version ? await getRevisionFiles(repoPath, version) : await getTrackedFiles(repoPath)
+	return tracked.filter(f => committed.includes(f))
+}
+
+async function getHistory (repoPath, version) {
+	const args = ['log', '--format=%x00%H %ct', '--name-only', ...backupCommitArgs()]
+	if (version) {
+		args.push(version)
+	}
+	const log = await git(repoPath, ...args)
+	return log.split('\0').filter(e => e).map(entry => {
+		const [header, ...files] = entry.trim().split('\n')
+		const [hash, timestamp] = header.split(' ')
+		return {
+			version: hash,
+			committed_at: new Date(timestamp * 1000).toISOString(),
+			files: files.filter(f => f).map(f => pathToFileName(f)),
+		}
+	})
+}
+
+async function readBackupFiles (repoPath) {
+	const files = {}
+	for (const name of await getBackupFiles(repoPath)) {
+		files[pathToFileName(name)] = { content: await fs.readFile(path.join(repoPath, name)) }
+	}
+	return files
+}
+
+async function readRevisionFiles (repoPath, version) {
+	const files = {}
+	for (const name of await getBackupFiles(repoPath, version)) {
+		const content = await new Promise((resolve, reject) => {
+			execFile('git', ['show', `${version}:${name}`], { cwd: repoPath, encoding: 'buffer', maxBuffer: 100 * 1024 * 1024 }, (error, stdout) => {
+				if (error) {
+					reject(error)
+				} else {
+					resolve(stdout)
+				}
+			})
+		})
+		files[pathToFileName(name)] = { content }
+	}
+	return files
+}
+
+async function setRemote (repoPath) {
+	const remote = getRemote()
+	const remotes = (await git(repoPath, 'remote')).split('\n')
+	if (remotes.includes('origin')) {
+		if (remote) {
+			await git(repoPath, 'remote', 'set-url', 'origin', remote)
+		} else {
+			await git(repoPath, 'remote', 'remove', 'origin')
+		}
+	} else if (remote) {
+		await git(repoPath, 'remote', 'add', 'origin', remote)
+	}
+}
+
+function displayError (error, action) {
+	console.error(`Error ${action}:`, error)
+
+	notify.error(`Sync-Settings: Error ${action}`, {
+		dismissable: true,
+		detail: error.message,
+	})
+	throw error
+}
+
+module.exports = {
+	/**
+	 * Get URL for backup
+	 * @return {string} Backup URL
+	 */
+	async getUrl () {
+		const remote = getRemote()
+		if (/^https?:\/\//.test(remote)) {
+			return remote.replace(/\.git$/, '')
+		}
+		const repoPath = await getRepoPath(true)
+		return repoPath ? pathToFileURL(repoPath).href : ''
+	},
+
+	/**
+	 * Create new backup location
+	 * @return {Promise} Returns empty object on success. Falsey value on silent error.
+	 */
+	async create () {
+		try {
+			const repoPath = await getRepoPath()
+			await fs.ensureDir(repoPath)
+			if (!await fs.pathExists(path.join(repoPath, '.git'))) {
+				await git(repoPath, 'init')
+			}
+			await setRemote(repoPath)
+			await pull(repoPath)
+			const files = {}
+			if (!await fs.pathExists(path.join(repoPath, 'README'))) {
+				files.README = { content: Buffer.from('# Generated by Sync Settings for Atom\n\n<https://github.com/atom-community/sync-settings>') }
+			}
+			await writeFiles(repoPath, files)
+			await commit(repoPath, 'Create backup', Object.keys(files))
+			await push(repoPath)
+
+			atom.config.set('sync-settings.gitRepoPath', repoPath)
+
+			return {}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'creating backup')
+			}
+		}
+	},
+
+	/**
+	 * Get backup files and time
+	 * Only files and commits of backups are returned, other files and commits in the repository are ignored.
+	 * @param  {object} [options]
+	 * @param  {string} [options.version] Commit to get instead of the latest.
+	 * @return {Promise} Returns object with `files`, `time` and `history` on success. Falsey value on silent error.
+	 */
+	async get (options = {}) {
+		try {
+			const repoPath = await getBackupRepoPath()
+			await pull(repoPath)
+			const history = await getHistory(repoPath, options.version)
+
+			return {
+				files: options.version ? await readRevisionFiles(repoPath, options.version) : await readBackupFiles(repoPath),
+				time: history.length > 0 ? history[0].committed_at : null,
+				history,
+			}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'getting backup')
+			}
+		}
+	},
+
+	/**
+	 * Delete backup
+	 * Only the files committed by backups are removed, the repository and its other files are kept.
+	 * @return {Promise} Returns empty object on success. Falsey value on silent error.
+	 */
+	async delete () {
+		try {
+			const repoPath = await getBackupRepoPath()
+			await pull(repoPath)
+			const fileNames = await getBackupFiles(repoPath)
+			if (fileNames.length > 0) {
+				await git(repoPath, 'rm', '--quiet', '--', ...fileNames)
+				await git(repoPath, ...await getIdentity(repoPath), 'commit', '--message', 'Delete backup')
+				await push(repoPath)
+			}
+
+			atom.config.unset('sync-settings.gitRepoPath')
+
+			return {}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'deleting backup')
+			}
+		}
+	},
+
+	/**
+	 * Update backup and get time
+	 * @param  {object} files Files to update.
+	 * @return {Promise} Returns object with `time` on success. Falsey value on silent error.
+	 */
+	async update (files) {
+		try {
+			const repoPath = await getBackupRepoPath()
+			await pull(repoPath)
+			await writeFiles(repoPath, files)
+			await commit(repoPath, `Backup from ${os.hostname()}`, Object.keys(files))
+			await push(repoPath)
+			const timestamp = await git(repoPath, 'log', '-1', '--format=%ct')
+
+			return {
+				time: new Date(timestamp * 1000).toISOString(),
+			}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'updating backup')
+			}
+		}
+	},
+
+	/**
+	 * Fork backup
+	 * @return {Promise} Returns empty object on success. Falsey value on silent error.
+	 */
+	async fork () {
+		try {
+			const repoPath = await getRepoPath()
+
+			const inputView = new InputView({
+				title: 'Fork Git Repository',
+				description: `Enter the URL or path of the git repository that you want to clone to \`${repoPath}\`.`,
+				placeholder: 'Git Repository to Fork',
+			})
+			const forkUrl = await inputView.getInput()
+			if (!forkUrl) {
+				return
+			}
+			if (await fs.pathExists(repoPath) && (await fs.readdir(repoPath)).length > 0) {
+				throw new Error(`Folder '${repoPath}' is not empty.`)
+			}
+
+			await git(os.tmpdir(), 'clone', forkUrl.trim(), repoPath)
+			await setRemote(repoPath)
+			await push(repoPath)
+
+			atom.config.set('sync-settings.gitRepoPath', repoPath)
+			return {}
+		} catch (err) {
+			if (err) {
+				return displayError(err, 'forking backup')
+			}
+		}
+	},
+}
@@ -36,9 +36,27 @@ module.exports = {
 					atom.commands.add('atom-workspace', 'sync-settings:delete-backup', () => this.syncSettings.deleteBackup()),
 					atom.commands.add('atom-workspace', 'sync-settings:backup', () => this.syncSettings.backup()),
 					atom.commands.add('atom-workspace', 'sync-settings:restore', () => this.syncSettings.restore()),
+					atom.commands.add('atom-workspace', 'sync-settings:backup-settings', () => this.syncSettings.backup(false, { only: 'settings' })),
+					atom.commands.add('atom-workspace', 'sync-settings:backup-packages', () => this.syncSettings.backup(false, { only: 'packages' })),
+					atom.commands.add('atom-workspace', 'sync-settings:backup-files', () => this.syncSettings.backup(false, { only: 'files' })),
+					atom.commands.add('atom-workspace', 'sync-settings:restore-settings', () => this.syncSettings.restore(false, { only: 'settings' })),
+					atom.commands.add('atom-workspace', 'sync-settings:restore-packages', () => this.syncSettings.restore(false, { only: 'packages' })),
+					atom.commands.add('atom-workspace', 'sync-settings:restore-files', () => this.syncSettings.restore(false, { only: 'files' })),
+					atom.commands.add('atom-workspace', 'sync-settings:dry-run-restore', () => this.syncSettings.dryRunRestore()),
+					atom.commands.add('atom-workspace', 'sync-settings:undo-restore', () => this.syncSettings.undoRestore()),
+					atom.commands.add('atom-workspace', 'sync-settings:flush-backup-queue', () => this.syncSettings.flushBackupQueue()),
+					atom.commands.add('atom-workspace', 'sync-settings:discard-backup-queue', () => this.syncSettings.discardBackupQueue()),
+					atom.commands.add('atom-workspace', 'sync-settings:merge', () => this.syncSettings.merge()),
 					atom.commands.add('atom-workspace', 'sync-settings:view-backup', () => this.syncSettings.viewBackup()),
 					atom.commands.add('atom-workspace', 'sync-settings:view-diff', () => this.syncSettings.viewDiff()),
+					atom.commands.add('atom-workspace', 'sync-settings:restore-revision', () => this.syncSettings.viewRevisions()),
+					atom.commands.add('atom-workspace', 'sync-settings:switch-profile', () => this.syncSettings.switchProfile()),
 				)
+				// move the personal access token out of config.cson
+				require('./utils/credentials').migrate().catch(err => {
+					console.error('Error moving the personal access token to the keychain:', err)
+				})
+
 				resolveActivation()
 			} catch (err) {
 				rejectActivation(err)
@@ -53,6 +71,7 @@ module.exports = {
 			this.disposables.dispose()
 		}
 		if (this.syncSettings) {
+			this.syncSettings.dispose()
 			this.syncSettings.disposeBusySignal()
 			this.syncSettings.disposeLocationService()
 			this.syncSettings = null
@@ -63,6 +82,20 @@ module.exports = {
 
 	serialize () {},
 
+	consumeStatusBar (statusBar) {
+		const StatusBarView = require('./views/status-bar-view')
+		const statusBarView = new StatusBarView()
+		const tile = statusBar.addRightTile({ item: statusBarView, priority: 100 })
+		const disposable = new Disposable(() => {
+			tile.destroy()
+			statusBarView.destroy()
+		})
+		if (this.disposables) {
+			this.disposables.add(disposable)
+		}
+		return disposable
+	},
+
 	busySignalService (busySignal) {
 		if (this.syncSettings) {
 			this.syncSettings.useBusySignal(busySignal)
@@ -76,6 +109,21 @@ module.exports = {
 		})
 	},
 
+	consumeCredentialStore (store) {
+		return require('./utils/credentials').useBackend(store)
+	},
+
+	provideCredentials () {
+		const credentials = require('./utils/credentials')
+		// other packages cannot read or overwrite the personal access token
+		const prefix = (account) => `service/${account}`
+		return {
+			get: (account) => credentials.get(prefix(account)),
+			set: (account, value) => credentials.set(prefix(account), value),
+			delete: (account) => credentials.delete(prefix(account)),
+		}
+	},
+
 	syncSettingslocationService (locationService) {
 		if (this.locationServices.length > 0) {
 			require('./utils/notify').multipleLocationServices()
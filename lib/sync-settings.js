@@ -1,6 +1,8 @@
 const path = require('path')
 const fs = require('fs-extra')
+const { CompositeDisposable, Disposable } = require('atom')
 const { shell } = require('electron')
+const { InputView } = require('atom-modal-views')
 const util = require('util')
 const glob = util.promisify(require('glob'))
 const minimatch = require('minimatch')
@@ -11,7 +13,22 @@ const isBinaryPath = require('is-binary-path')
 const config = require('./config')
 const notify = require('./utils/notify')
 const utils = require('./utils/utils')
+const encryption = require('./utils/encryption')
+const secrets = require('./utils/secrets')
+const conditions = require('./utils/conditions')
+const placeholders = require('./utils/placeholders')
+const templates = require('./utils/templates')
+const layers = require('./utils/layers')
+const merge = require('./utils/merge')
+const restorePlan = require('./utils/restore-plan')
+const restoreSnapshots = require('./utils/restore-snapshots')
+const profiles = require('./utils/profiles')
+const LiveBackup = require('./utils/live-backup')
+const backupQueue = require('./utils/backup-queue')
+const BackupPoller = require('./utils/backup-poller')
 const DiffView = require('./views/diff-view')
+const PlanView = require('./views/plan-view')
+const RevisionsView = require('./views/revisions-view')
 
 module.exports = class SyncSettings {
 	constructor () {
@@ -27,6 +44,43 @@ module.exports = class SyncSettings {
 				})
 			}
 		}
+
+		this.liveBackup = new LiveBackup(this)
+		this.backupPoller = new BackupPoller(this)
+		const onOnline = () => this.flushBackupQueue(true).catch(err => {
+			// the backup location has already shown the error
+			console.error('Error uploading pending backup:', err)
+		})
+		window.addEventListener('online', onOnline)
+		backupQueue.load().then(() => {
+			if (backupQueue.isPending() && navigator.onLine) {
+				return onOnline()
+			}
+		})
+
+		this.disposables = new CompositeDisposable(
+			new Disposable(() => window.removeEventListener('online', onOnline)),
+			backupQueue.onDidChangeTarget(() => backupQueue.load()),
+			atom.config.observe('sync-settings.liveBackup', (liveBackup) => {
+				if (liveBackup) {
+					this.liveBackup.start()
+				} else {
+					this.liveBackup.stop()
+				}
+			}),
+			atom.config.observe('sync-settings.autoCheckInterval', (interval) => {
+				this.backupPoller.stop()
+				if (interval > 0) {
+					this.backupPoller.start()
+				}
+			}),
+		)
+	}
+
+	dispose () {
+		this.disposables.dispose()
+		this.liveBackup.dispose()
+		this.backupPoller.dispose()
 	}
 
 	autoCheck () {
@@ -70,7 +124,14 @@ module.exports = class SyncSettings {
 
 	async getBackupLocation (waitForLocationService) {
 		if (!atom.config.get('sync-settings.useOtherLocation')) {
-			return require('./location/gist.js')
+			switch (atom.config.get('sync-settings.backupLocation')) {
+				case 'folder':
+					return require('./location/folder.js')
+				case 'git':
+					return require('./location/git.js')
+				default:
+					return require('./location/gist.js')
+			}
 		}
 
 		if (this.locationService) {
@@ -108,7 +169,7 @@ module.exports = class SyncSettings {
 				return
 			}
 
-			const diffData = await this.getDiffData(localData, backupData)
+			const diffData = await this.getDiffData(localData, backupData, await merge.getSnapshot())
 			if (!diffData) {
 				return
 			}
@@ -119,6 +180,7 @@ module.exports = class SyncSettings {
 			let hideVersionsUpdate = atom.config.get('sync-settings.installLatestVersion')
 			hideVersionsUpdate = hideVersionsUpdate && !diffData.settings && !diffData.files && diffData.packages
 			hideVersionsUpdate = hideVersionsUpdate && !diffData.packages.added && !diffData.packages.deleted && diffData.packages.updated
+			hideVersionsUpdate = hideVersionsUpdate && !diffData.packages.enabled && !diffData.packages.disabled
 
 			if (hasDiff && !hideVersionsUpdate) {
 				diffData.localTime = config.getLastBackupTime(data)
@@ -133,6 +195,10 @@ module.exports = class SyncSettings {
 				return
 			}
 
+			if (!hasDiff) {
+				await merge.saveSnapshot(merge.createSnapshot(backupData))
+			}
+
 			if (!autoCheck || !atom.config.get('sync-settings.quietUpdateCheck')) {
 				notify.success('Sync-Settings: Your settings are synchronized.', {
 					detail: 'Last Backup: ' + new Date(config.getLastBackupTime(data, true)).toLocaleString(),
@@ -213,25 +279,24 @@ module.exports = class SyncSettings {
 		}
 	}
 
-	async backup (autoCheck) {
+	async backup (autoCheck, options = {}) {
 		const signal = notify.signal('Sync-Settings: Updating backup...')
 		try {
-			const localData = await this.getLocalData()
+			let localData = await this.getLocalData()
 			if (!localData) {
 				return
 			}
-
-			const files = {}
-			if (localData.settings) {
-				files['settings.json'] = { content: Buffer.from(JSON.stringify(localData.settings, null, '\t')) }
-			}
-			if (localData.packages) {
-				files['packages.json'] = { content: Buffer.from(JSON.stringify(localData.packages, null, '\t')) }
-			}
-			if (localData.files) {
-				for (const fileName in localData.files) {
-					const file = localData.files[fileName]
-					files[fileName] = { content: file.content }
+			localData = utils.pickCategory(localData, options.only)
+
+			let uploadData = localData
+			if (atom.config.get('sync-settings.scanSecrets')) {
+				const findings = secrets.scan(localData, atom.config.get('sync-settings.secretsAllowlist'))
+				if (findings.length > 0) {
+					if (!options.redact && !atom.config.get('sync-settings.redactSecrets')) {
+						notify.secretsFound(findings, () => this.backup(autoCheck, options), () => this.backup(autoCheck, { ...options, redact: true }))
+						return
+					}
+					uploadData = secrets.redact(localData, findings)
 				}
 			}
 
@@ -239,6 +304,7 @@ module.exports = class SyncSettings {
 			if (!backupLocation) {
 				return
 			}
+			const deleteFiles = []
 			if (atom.config.get('sync-settings.removeUnfamiliarFiles')) {
 				const data = await backupLocation.get()
 				if (!data) {
@@ -250,26 +316,29 @@ module.exports = class SyncSettings {
 					return
 				}
 
-				const diffData = await this.getDiffData(localData, backupData)
+				const diffData = await this.getDiffData(localData, utils.pickCategory(backupData, options.only))
 				if (!diffData) {
 					return
 				}
 
 				if (diffData.files && diffData.files.added) {
-					for (const fileName in diffData.files.added) {
-						files[fileName] = { content: null }
-					}
+					deleteFiles.push(...Object.keys(diffData.files.added))
 				}
 			}
 
-			const data = await backupLocation.update(files)
+			// backing up one category does not sync the others
+			const snapshot = options.only ? null : merge.createSnapshot(localData)
+			const data = await this.updateBackup(backupLocation, uploadData, deleteFiles, snapshot)
 			if (!data) {
 				return
 			}
 
-			atom.config.set('sync-settings.hiddenSettings._lastBackupTime', data.time)
+			if (snapshot) {
+				atom.config.set('sync-settings.hiddenSettings._lastBackupTime', data.time)
+				await merge.saveSnapshot(snapshot)
+			}
 
-			if (!autoCheck || !atom.config.get('sync-settings.quietUpdateCheck')) {
+			if (!options.quiet && (!autoCheck || !atom.config.get('sync-settings.quietUpdateCheck'))) {
 				notify.settingsSynced()
 			}
 		} finally {
@@ -277,10 +346,360 @@ module.exports = class SyncSettings {
 		}
 	}
 
-	async restore (autoCheck) {
+	/**
+	 * Upload data to the backup location
+	 * @param  {object} backupLocation Backup location
+	 * @param  {object} data `settings`, `packages` and `files` to back up
+	 * @param  {string[]} [deleteFiles] Names of files to delete from the backup
+	 * @param  {object} [snapshot] Merge snapshot the caller saves after uploading, queued with the files while offline
+	 * @return {Promise} Result of `backupLocation.update`. Falsey value on error.
+	 */
+	async updateBackup (backupLocation, data, deleteFiles = [], snapshot = null) {
+		const baseData = await this.getBaseData()
+		if (!baseData) {
+			return
+		}
+
+		const files = {}
+		if (data.settings) {
+			const { settings, variants } = conditions.splitSettings(data.settings)
+			// only changes to the base layers are backed up
+			const shared = baseData.settings ? layers.subtractSettings(settings, baseData.settings) : settings
+			files['settings.json'] = { content: Buffer.from(JSON.stringify(placeholders.substituteSettings(shared), null, '\t')) }
+			for (const fileName in variants) {
+				files[fileName] = { content: Buffer.from(JSON.stringify(placeholders.substituteSettings(variants[fileName]), null, '\t')) }
+			}
+		}
+		if (data.packages) {
+			const packages = baseData.packages ? layers.subtractPackages(data.packages, baseData.packages) : data.packages
+			files['packages.json'] = { content: Buffer.from(JSON.stringify(packages, null, '\t')) }
+		}
+		if (data.files) {
+			for (const fileName in data.files) {
+				const file = data.files[fileName]
+				files[fileName] = { content: placeholders.substituteFile(fileName, file.content) }
+			}
+		}
+		for (const fileName of deleteFiles) {
+			files[fileName] = { content: null }
+		}
+
+		let uploadFiles = files
+		if (atom.config.get('sync-settings.encryptBackup')) {
+			const passphrase = encryption.getPassphrase()
+			if (!passphrase) {
+				notify.invalidPassphrase(true)
+				return
+			}
+			uploadFiles = await encryption.encryptFiles(files, passphrase)
+		}
+
+		const queue = await backupQueue.get()
+		if (queue) {
+			// upload backups queued while offline with this one
+			uploadFiles = { ...queue.files, ...uploadFiles }
+		}
+
+		let result
+		try {
+			result = await backupLocation.update(uploadFiles)
+		} catch (err) {
+			if (err && err.offline) {
+				await backupQueue.add(uploadFiles, snapshot)
+				notify.backupQueued()
+				return
+			}
+			throw err
+		}
+		if (result && queue) {
+			await backupQueue.clear(queue.target)
+		}
+		return result
+	}
+
+	/**
+	 * Upload the backup queued while offline
+	 * @param  {boolean} autoFlush Flushing because the connection came back
+	 * @return {Promise}
+	 */
+	async flushBackupQueue (autoFlush) {
+		const queue = await backupQueue.get()
+		if (!queue) {
+			backupQueue.setPending(false)
+			if (!autoFlush) {
+				notify.info('Sync-Settings: No pending backup')
+			}
+			return
+		}
+
+		const signal = notify.signal('Sync-Settings: Uploading pending backup...')
+		try {
+			const backupLocation = await this.getBackupLocation(autoFlush)
+			if (!backupLocation) {
+				return
+			}
+			if (queue.target !== backupQueue.getTarget()) {
+				// the location changed while asking for it
+				notify.warning('Sync-Settings: The pending backup was queued for another backup location', {
+					detail: 'Switch back to that profile or location to upload it.',
+				})
+				return
+			}
+
+			let data
+			try {
+				data = await backupLocation.update(queue.files)
+			} catch (err) {
+				if (err && err.offline) {
+					if (!autoFlush) {
+						notify.backupQueued()
+					}
+					return
+				}
+				throw err
+			}
+			if (!data) {
+				return
+			}
+
+			await backupQueue.clear(queue.target)
+			if (queue.snapshot) {
+				// this machine made the backup so it is synced with it
+				atom.config.set('sync-settings.hiddenSettings._lastBackupTime', data.time)
+				await merge.saveSnapshot(queue.snapshot)
+			}
+			notify.success('Sync-Settings: Pending backup uploaded', {
+				detail: `Queued at ${new Date(queue.time).toLocaleString()}`,
+			})
+		} finally {
+			signal.dismiss()
+		}
+	}
+
+	async discardBackupQueue () {
+		if (!await backupQueue.get()) {
+			notify.info('Sync-Settings: No pending backup')
+			return
+		}
+
+		const cancel = await notify.confirm({
+			type: 'warning',
+			message: 'Discard Pending Backup',
+			detail: 'Are you sure you want to discard the backup made while offline? It will not be uploaded.',
+			defaultId: 1,
+			buttons: [
+				'Discard Backup',
+				'Cancel',
+			],
+		})
+		if (cancel) {
+			return
+		}
+
+		await backupQueue.clear()
+		notify.info('Sync-Settings: Pending backup discarded')
+	}
+
+	async restore (autoCheck, options = {}) {
 		const signal = notify.signal('Sync-Settings: Restoring backup...')
 		try {
-			const backupLocation = await this.getBackupLocation(autoCheck)
+			const restoreData = await this.getRestoreData(autoCheck, options)
+			if (!restoreData) {
+				return
+			}
+
+			const snapshotName = await this.applyRestore(restoreData, options)
+
+			if (!autoCheck || !atom.config.get('sync-settings.quietUpdateCheck')) {
+				notify.settingsSynced(!!snapshotName)
+			}
+		} finally {
+			signal.dismiss()
+		}
+	}
+
+	/**
+	 * Get everything a restore needs without changing anything
+	 * @param  {boolean} autoCheck Wait for a location service
+	 * @param  {object} [options] Restore options (`version`, `only`)
+	 * @param  {boolean} [withDiff] Always get `localData` and `diffData`
+	 * @return {Promise<object>} `time`, `backupData`, `localData`, `diffData` and local `deleteFiles`. Falsey value on error.
+	 */
+	async getRestoreData (autoCheck, options = {}, withDiff = false) {
+		const backupLocation = await this.getBackupLocation(autoCheck)
+		if (!backupLocation) {
+			return
+		}
+		const data = await backupLocation.get({ version: options.version })
+		if (!data) {
+			return
+		}
+
+		let backupData = await this.getBackupData(data.files)
+		if (!backupData) {
+			return
+		}
+		backupData = utils.pickCategory(backupData, options.only)
+
+		if (!backupData.settings && !backupData.packages && !backupData.files) {
+			notify.error(options.only ? `Sync-Settings: No ${options.only} found in backup.` : 'Sync-Settings: No backup files found.')
+			return
+		}
+
+		let localData = null
+		let diffData = null
+		const deleteFiles = []
+		const removeUnfamiliarFiles = atom.config.get('sync-settings.removeUnfamiliarFiles')
+		if (withDiff || removeUnfamiliarFiles) {
+			localData = await this.getLocalData()
+			if (!localData) {
+				return
+			}
+			localData = utils.pickCategory(localData, options.only)
+
+			diffData = await this.getDiffData(localData, backupData)
+			if (!diffData) {
+				return
+			}
+
+			if (removeUnfamiliarFiles && diffData.files && diffData.files.deleted) {
+				deleteFiles.push(...Object.keys(diffData.files.deleted).map(fileName => localData.files[fileName]))
+			}
+		}
+
+		return {
+			time: data.time,
+			backupData,
+			localData,
+			diffData,
+			deleteFiles,
+		}
+	}
+
+	async applyRestore (restoreData, options = {}) {
+		const snapshotName = await this.applyData(restoreData.backupData, restoreData.deleteFiles)
+
+		if (!options.version && !options.only) {
+			// restoring an older revision or one category does not sync with the latest backup
+			atom.config.set('sync-settings.hiddenSettings._lastBackupTime', restoreData.time)
+			await merge.saveSnapshot(merge.createSnapshot(restoreData.backupData))
+		}
+
+		return snapshotName
+	}
+
+	async dryRunRestore (options = {}) {
+		const signal = notify.signal('Sync-Settings: Planning restore...')
+		try {
+			const restoreData = await this.getRestoreData(false, options, true)
+			if (!restoreData) {
+				return
+			}
+
+			const plan = await restorePlan.createPlan(restoreData)
+			if (!this.planView) {
+				this.planView = new PlanView(this)
+			}
+			await this.planView.update({ plan, restoreData, options, confirmed: false })
+			await atom.workspace.open(this.planView)
+		} finally {
+			signal.dismiss()
+		}
+	}
+
+	async confirmRestore (restoreData, options = {}) {
+		const signal = notify.signal('Sync-Settings: Restoring backup...')
+		try {
+			const snapshotName = await this.applyRestore(restoreData, options)
+			notify.settingsSynced(!!snapshotName)
+		} finally {
+			signal.dismiss()
+		}
+	}
+
+	/**
+	 * Apply data to the local settings, packages and files
+	 * A snapshot of everything that will change is saved first so it can be undone.
+	 * @param  {object} data `settings`, `packages` and `files` to apply
+	 * @param  {object[]} [deleteFiles] Local files to delete
+	 * @param  {object} [options] `removeObsoletePackages` to remove packages missing from `data.packages` (defaults to the setting),
+	 *                            `snapshot: false` to not save a snapshot and `renderTemplates: false` to write files unchanged
+	 * @return {Promise<string>} Name of the restore snapshot
+	 */
+	async applyData (data, deleteFiles = [], options = {}) {
+		const snapshotName = options.snapshot === false ? null : await restoreSnapshots.create(data, deleteFiles)
+		const removeObsoletePackages = 'removeObsoletePackages' in options ? options.removeObsoletePackages : atom.config.get('sync-settings.removeObsoletePackages')
+
+		// keep live backup from uploading a partial restore
+		this.restoring = true
+		try {
+			for (const file of deleteFiles) {
+				await fs.remove(file.path)
+			}
+
+			if (data.settings) {
+				utils.updateSettings(data.settings)
+			}
+
+			if (data.packages) {
+				await utils.installMissingPackages(data.packages)
+				await utils.updateOutdatedPackages(data.packages)
+				utils.applyPackageStates(data.packages)
+				if (removeObsoletePackages) {
+					await utils.removeObsoletePackages(data.packages)
+				}
+			}
+
+			if (data.files) {
+				const files = options.renderTemplates === false ? data.files : await templates.renderFiles(data.files)
+				for (const fileName in files) {
+					const file = files[fileName]
+					await fs.outputFile(file.path, file.content)
+				}
+			}
+		} finally {
+			this.restoring = false
+		}
+
+		return snapshotName
+	}
+
+	async undoRestore () {
+		const signal = notify.signal('Sync-Settings: Undoing restore...')
+		try {
+			const latest = await restoreSnapshots.getLatest()
+			if (!latest) {
+				notify.warning('Sync-Settings: Nothing to undo', {
+					dismissable: true,
+					description: 'There is no snapshot of your settings from before a restore.',
+				})
+				return
+			}
+
+			const { name, snapshot } = latest
+			const { data, deleteFiles } = restoreSnapshots.getData(snapshot)
+			if (!atom.config.get('sync-settings.undoRestorePackages')) {
+				data.packages = null
+			}
+			await this.applyData(data, deleteFiles, {
+				snapshot: false,
+				renderTemplates: false,
+				removeObsoletePackages: true,
+			})
+
+			atom.config.set('sync-settings.hiddenSettings._lastBackupTime', snapshot.lastBackupTime)
+			await restoreSnapshots.remove(name)
+
+			notify.success(`Sync-Settings: Undid restore from ${new Date(snapshot.time).toLocaleString()}`)
+		} finally {
+			signal.dismiss()
+		}
+	}
+
+	async merge () {
+		const signal = notify.signal('Sync-Settings: Merging backup...')
+		try {
+			const backupLocation = await this.getBackupLocation()
 			if (!backupLocation) {
 				return
 			}
@@ -289,63 +708,157 @@ module.exports = class SyncSettings {
 				return
 			}
 
-			const backupData = this.getBackupData(data.files)
+			const backupData = await this.getBackupData(data.files)
 			if (!backupData) {
 				return
 			}
 
-			if (!backupData.settings && !backupData.packages && !backupData.files) {
-				notify.error('Sync-Settings: No backup files found.')
+			const localData = await this.getLocalData()
+			if (!localData) {
 				return
 			}
 
-			if (atom.config.get('sync-settings.removeUnfamiliarFiles')) {
-				const localData = await this.getLocalData()
-				if (!localData) {
-					return
-				}
+			const snapshot = await merge.getSnapshot()
+			if (!snapshot) {
+				notify.warning('Sync-Settings: Nothing to merge with', {
+					dismissable: true,
+					description: 'There is no snapshot of your last sync. Backup or restore your settings once before merging.',
+				})
+				return
+			}
 
-				const diffData = await this.getDiffData(localData, backupData)
-				if (!diffData) {
+			const result = merge.mergeData(localData, backupData, snapshot)
+			const statuses = (type) => Object.values(result.changes[type])
+			const fromBackup = (status) => status === 'backup' || status === 'merged'
+			const fromLocal = (status) => status === 'local' || status === 'merged'
+
+			// apply changes from the backup locally
+			const localFiles = result.local.files || {}
+			const applyFiles = utils.filterObject(localFiles, ([fileName]) => fromBackup(result.changes.files[fileName]))
+			const deleteLocalFiles = Object.keys(result.changes.files)
+				.filter(fileName => !(fileName in localFiles) && localData.files && localData.files[fileName])
+				.map(fileName => localData.files[fileName])
+			const applySettings = statuses('settings').some(fromBackup)
+			const applyPackages = statuses('packages').some(fromBackup)
+			if (applySettings || applyPackages || Object.keys(applyFiles).length > 0 || deleteLocalFiles.length > 0) {
+				// a restore snapshot is only taken when something changes locally
+				await this.applyData({
+					settings: applySettings ? result.local.settings : null,
+					packages: applyPackages ? result.local.packages : null,
+					files: applyFiles,
+				}, deleteLocalFiles)
+			}
+
+			// upload changes made locally
+			let time = data.time
+			if (['settings', 'packages', 'files'].some(type => statuses(type).some(fromLocal))) {
+				const backupFiles = result.backup.files || {}
+				const deleteFiles = Object.keys(backupData.files || {}).filter(fileName => !(fileName in backupFiles))
+				const updated = await this.updateBackup(backupLocation, result.backup, deleteFiles, result.base)
+				if (!updated) {
 					return
 				}
+				time = updated.time
+			}
+
+			atom.config.set('sync-settings.hiddenSettings._lastBackupTime', time)
+			await merge.saveSnapshot(result.base)
 
-				if (diffData.files && diffData.files.deleted) {
-					for (const fileName in diffData.files.deleted) {
-						const file = localData.files[fileName]
-						await fs.unlink(file.path)
+			const conflicts = []
+			for (const type of ['settings', 'packages', 'files']) {
+				for (const name in result.changes[type]) {
+					if (result.changes[type][name] === 'conflict') {
+						conflicts.push(name)
 					}
 				}
 			}
+			if (conflicts.length > 0) {
+				notify.mergeConflicts(conflicts, this)
+			} else {
+				notify.settingsSynced()
+			}
+		} finally {
+			signal.dismiss()
+		}
+	}
 
-			if (backupData.settings) {
-				utils.updateSettings(backupData.settings)
+	/**
+	 * Take the local or backup side of each selected setting, package and file
+	 * @param  {object} selection `settings`, `packages` and `files` mapping each key path or name to `local`, `backup` or `skip`
+	 * @return {Promise}
+	 */
+	async applySelection (selection) {
+		const signal = notify.signal('Sync-Settings: Applying selection...')
+		try {
+			const backupLocation = await this.getBackupLocation()
+			if (!backupLocation) {
+				return
+			}
+			const data = await backupLocation.get()
+			if (!data) {
+				return
 			}
 
-			if (backupData.packages) {
-				await utils.installMissingPackages(backupData.packages)
-				if (atom.config.get('sync-settings.removeObsoletePackages')) {
-					await utils.removeObsoletePackages(backupData.packages)
-				}
+			const backupData = await this.getBackupData(data.files)
+			if (!backupData) {
+				return
 			}
 
-			if (backupData.files) {
-				for (const fileName in backupData.files) {
-					const file = backupData.files[fileName]
-					await fs.outputFile(file.path, file.content)
-				}
+			const localData = await this.getLocalData()
+			if (!localData) {
+				return
 			}
 
-			atom.config.set('sync-settings.hiddenSettings._lastBackupTime', data.time)
+			const result = merge.selectData(localData, backupData, selection)
+			if (result.local) {
+				await this.applyData(result.local, result.deleteLocalFiles, {
+					// packages the selection takes away are removed
+					removeObsoletePackages: !!result.local.packages && Object.keys(localData.packages || {}).some(name => !(name in result.local.packages)),
+				})
+			}
 
-			if (!autoCheck || !atom.config.get('sync-settings.quietUpdateCheck')) {
-				notify.settingsSynced()
+			if (result.backup) {
+				const updated = await this.updateBackup(backupLocation, result.backup, result.deleteBackupFiles)
+				if (!updated) {
+					return
+				}
 			}
+
+			notify.success('Sync-Settings: Selection applied')
 		} finally {
 			signal.dismiss()
 		}
 	}
 
+	async switchProfile () {
+		const active = profiles.getActiveProfile()
+		const others = profiles.getProfileNames().filter(n => n !== active)
+		const inputView = new InputView({
+			title: 'Switch Profile',
+			description: `Current profile: \`${active}\`${others.length > 0 ? `<br />Other profiles: ${others.map(n => `\`${n}\``).join(', ')}` : ''}<br />Enter a new name to create a profile.`,
+			placeholder: 'Profile Name',
+		})
+		const name = await inputView.getInput()
+		if (!name || !name.trim() || name.trim() === active) {
+			return
+		}
+
+		const created = profiles.switchProfile(name)
+		if (created) {
+			notify.newProfile(name.trim())
+		} else {
+			notify.success(`Sync-Settings: Switched to profile '${name.trim()}'`)
+		}
+	}
+
+	async viewRevisions () {
+		if (!this.revisionsView) {
+			this.revisionsView = new RevisionsView(this)
+		}
+		await atom.workspace.open(this.revisionsView)
+		this.revisionsView.refresh()
+	}
+
 	async viewBackup () {
 		const backupLocation = await this.getBackupLocation()
 		if (!backupLocation) {
@@ -359,10 +872,11 @@ module.exports = class SyncSettings {
 		}
 	}
 
-	async viewDiff (diffData) {
+	async viewDiff (diffData, version = null) {
 		if (!this.diffView) {
 			this.diffView = new DiffView(this)
 		}
+		await this.diffView.update({ version })
 		await atom.workspace.open(this.diffView)
 		if (diffData) {
 			this.diffView.update({ diff: diffData, error: null })
@@ -457,7 +971,7 @@ module.exports = class SyncSettings {
 		}
 
 		if (Object.keys(data.files).length > 0) {
-			data.files = utils.sortObject(data.files)
+			data.files = utils.sortObject(conditions.addFileVariants(await templates.addTemplates(data.files)))
 		} else {
 			data.files = null
 		}
@@ -465,21 +979,131 @@ module.exports = class SyncSettings {
 		return data
 	}
 
-	getBackupData (files) {
+	async decryptFiles (files) {
+		if (!encryption.hasEncryptedFiles(files)) {
+			return files
+		}
+
+		const passphrase = encryption.getPassphrase()
+		if (!passphrase) {
+			notify.invalidPassphrase(true)
+			return
+		}
+		try {
+			return await encryption.decryptFiles(files, passphrase)
+		} catch (err) {
+			console.error('Error decrypting backup:', err)
+			notify.invalidPassphrase()
+		}
+	}
+
+	/**
+	 * Get the merged `settings.json` and `packages.json` of the base backups
+	 * @return {Promise<object>} Returns object with `settings`, `packages` and `origins`. Falsey value on error.
+	 */
+	async getBaseData () {
+		let data = {
+			settings: null,
+			packages: null,
+			origins: { settings: {}, packages: {} },
+		}
+
+		for (const source of layers.getBaseBackups()) {
+			let files = await layers.getFiles(source)
+			if (!files) {
+				return
+			}
+			files = await this.decryptFiles(files)
+			if (!files) {
+				return
+			}
+
+			const layer = this.parseLayer(files, `base backup '${source}'`)
+			if (!layer) {
+				return
+			}
+			data = layers.addLayer(data, source, layer)
+		}
+
+		return data
+	}
+
+	parseLayer (files, name) {
+		const layer = {}
+		try {
+			if (files['settings.json']) {
+				layer.settings = placeholders.expandSettings(layers.fromLegacySettings(JSON.parse(files['settings.json'].content.toString())))
+			}
+			if (files['packages.json']) {
+				layer.packages = utils.fromLegacyPackages(JSON.parse(files['packages.json'].content.toString()))
+			}
+		} catch (err) {
+			notify.error(`Sync-Settings: Error parsing the ${name}. (${err})`)
+			return
+		}
+		return layer
+	}
+
+	async getBackupData (files) {
 		const data = {
 			settings: null,
 			packages: null,
 			files: {},
 		}
 
+		files = await this.decryptFiles(files)
+		if (!files) {
+			return
+		}
+
+		const baseData = await this.getBaseData()
+		if (!baseData) {
+			return
+		}
+		if (baseData.settings || baseData.packages) {
+			const layer = this.parseLayer(files, 'backup')
+			if (!layer) {
+				return
+			}
+			const merged = layers.addLayer(baseData, null, layer)
+			files = { ...files }
+			if (merged.settings) {
+				files['settings.json'] = { content: Buffer.from(JSON.stringify(merged.settings)) }
+			}
+			if (merged.packages) {
+				files['packages.json'] = { content: Buffer.from(JSON.stringify(merged.packages)) }
+			}
+			data.origins = merged.origins
+		}
+
 		const configDirPath = atom.getConfigDirPath()
+		const settingsVariants = {}
 		for (let fileName in files) {
 			try {
 				const file = files[fileName]
+				const variant = conditions.parseVariantName(fileName)
+				if (variant) {
+					// variants for other machines are not restored
+					if (variant.matches && variant.name === conditions.SETTINGS_FILE) {
+						settingsVariants[variant.type] = utils.getSyncedSettings(placeholders.expandSettings(JSON.parse(file.content.toString())))
+					} else if (variant.matches && conditions.getFileCondition(variant.name) === variant.type) {
+						data.files[fileName] = {
+							path: path.resolve(configDirPath, variant.name.replace(/\\/g, '/')),
+							content: placeholders.expandFile(fileName, file.content),
+						}
+					}
+					continue
+				}
+
 				switch (fileName) {
 					case 'settings.json':
 						if (atom.config.get('sync-settings.syncSettings')) {
-							data.settings = JSON.parse(file.content.toString())
+							let settings = placeholders.expandSettings(JSON.parse(file.content.toString()))
+							if (!('*' in settings)) {
+								// backed up before v2.0.2
+								settings = { '*': settings }
+							}
+							data.settings = utils.getSyncedSettings(settings)
 						}
 						break
 
@@ -546,7 +1170,7 @@ module.exports = class SyncSettings {
 						if (extraFiles.includes(fileName)) {
 							data.files[fileName.replace(/\//g, '\\')] = {
 								path: filePath,
-								content: file.content,
+								content: placeholders.expandFile(fileName, file.content),
 							}
 						} else {
 							const extraFilesGlob = atom.config.get('sync-settings.extraFilesGlob') || []
@@ -555,7 +1179,7 @@ module.exports = class SyncSettings {
 							if (extraFilesGlob.some(match) && !ignoreFilesGlob.some(match)) {
 								data.files[fileName.replace(/\//g, '\\')] = {
 									path: filePath,
-									content: file.content,
+									content: placeholders.expandFile(fileName, file.content),
 								}
 							}
 						}
@@ -567,16 +1191,35 @@ module.exports = class SyncSettings {
 			}
 		}
 
+		if (data.settings) {
+			data.settings = conditions.addSettingsVariants(data.settings, settingsVariants, utils.getFilteredSettings())
+		}
+
 		if (Object.keys(data.files).length > 0) {
 			data.files = utils.sortObject(data.files)
 		} else {
 			data.files = null
 		}
 
+		if (secrets.isRedacted(data)) {
+			const localData = await this.getLocalData()
+			if (!localData) {
+				return
+			}
+			return secrets.unredact(data, localData)
+		}
+
 		return data
 	}
 
-	getDiffData (localData, backupData) {
+	/**
+	 * Get the differences between local and backup data
+	 * @param  {object} localData Local data
+	 * @param  {object} backupData Backup data
+	 * @param  {object} [snapshot] Snapshot of the last sync used to classify each change as `local`, `backup`, `merged` or `conflict`
+	 * @return {object} Differences
+	 */
+	getDiffData (localData, backupData, snapshot) {
 		const data = {
 			settings: null,
 			packages: null,
@@ -596,7 +1239,7 @@ module.exports = class SyncSettings {
 					data.settings.added = utils.settingsToKeyPaths(settings.added)
 				}
 				if (settings.updated) {
-					data.settings.updated = utils.settingsToKeyPaths(settings.updated, '', true)
+					data.settings.updated = utils.settingsToKeyPaths(settings.updated, true)
 				}
 				if (settings.deleted) {
 					data.settings.deleted = utils.settingsToKeyPaths(settings.deleted)
@@ -609,7 +1252,11 @@ module.exports = class SyncSettings {
 		}
 
 		if (backupData.packages && localData.packages) {
-			const packages = diffObject.detailedDiff(localData.packages, backupData.packages)
+			const localPackages = utils.removePackageStates(utils.applyPackagePolicies(localData.packages, backupData.packages))
+			const packages = {
+				...diffObject.detailedDiff(localPackages, utils.removePackageStates(backupData.packages)),
+				...utils.diffPackageStates(localData.packages, backupData.packages),
+			}
 			for (const prop in packages) {
 				if (Object.keys(packages[prop]).length === 0) {
 					delete packages[prop]
@@ -635,6 +1282,12 @@ module.exports = class SyncSettings {
 						data.packages.deleted[name] = localData.packages[name]
 					}
 				}
+				if (packages.enabled) {
+					data.packages.enabled = packages.enabled
+				}
+				if (packages.disabled) {
+					data.packages.disabled = packages.disabled
+				}
 			}
 		} else if (backupData.packages) {
 			data.packages = { added: backupData.packages }
@@ -680,6 +1333,14 @@ module.exports = class SyncSettings {
 			}
 		}
 
+		if (backupData.origins) {
+			data.origins = backupData.origins
+		}
+
+		if (snapshot) {
+			data.changes = merge.mergeData(localData, backupData, snapshot).changes
+		}
+
 		return data
 	}
 }
@@ -0,0 +1,43 @@
+const path = require('path')
+const fs = require('fs-extra')
+
+function fileNameToPath (folderPath, fileName) {
+	// file names can contain path separators (e.g. `..\\file.txt`) so they need to be escaped
+	return path.join(folderPath, encodeURIComponent(fileName))
+}
+
+function pathToFileName (filePath) {
+	return decodeURIComponent(path.basename(filePath))
+}
+
+async function readFiles (folderPath, ignore = []) {
+	const files = {}
+	const entries = await fs.readdir(folderPath, { withFileTypes: true })
+	for (const entry of entries) {
+		if (!entry.isFile() || ignore.includes(entry.name)) {
+			continue
+		}
+		const filePath = path.join(folderPath, entry.name)
+		files[pathToFileName(filePath)] = { content: await fs.readFile(filePath) }
+	}
+	return files
+}
+
+async function writeFiles (folderPath, files) {
+	for (const fileName in files) {
+		const filePath = fileNameToPath(folderPath, fileName)
+		const content = files[fileName].content
+		if (!content || content.toString().trim() === '') {
+			await fs.remove(filePath)
+		} else {
+			await fs.outputFile(filePath, content)
+		}
+	}
+}
+
+module.exports = {
+	fileNameToPath,
+	pathToFileName,
+	readFiles,
+	writeFiles,
+}
@@ -0,0 +1,123 @@
+const { CompositeDisposable, Disposable } = require('atom')
+
+/**
+ * Check for newer backups periodically while the window is focused and online
+ */
+module.exports = class BackupPoller {
+	constructor (syncSettings) {
+		this.syncSettings = syncSettings
+		this.disposables = null
+		this.timeout = null
+		this.missed = false
+		this.lastTime = null
+		this.resume = this.resume.bind(this)
+	}
+
+	isActive () {
+		return !!this.disposables
+	}
+
+	isPaused () {
+		return !document.hasFocus() || !navigator.onLine
+	}
+
+	start () {
+		if (this.disposables) {
+			return
+		}
+		this.disposables = new CompositeDisposable()
+		for (const eventName of ['focus', 'online']) {
+			window.addEventListener(eventName, this.resume)
+			this.disposables.add(new Disposable(() => window.removeEventListener(eventName, this.resume)))
+		}
+		this.schedule()
+	}
+
+	stop () {
+		clearTimeout(this.timeout)
+		this.timeout = null
+		this.missed = false
+		if (this.disposables) {
+			this.disposables.dispose()
+			this.disposables = null
+		}
+	}
+
+	schedule () {
+		clearTimeout(this.timeout)
+		this.timeout = setTimeout(() => this.poll(), atom.config.get('sync-settings.autoCheckInterval') * 60 * 1000)
+	}
+
+	resume () {
+		if (this.missed && !this.isPaused()) {
+			this.missed = false
+			this.poll()
+		}
+	}
+
+	async poll () {
+		this.timeout = null
+		if (!this.disposables) {
+			return
+		}
+		if (this.isPaused()) {
+			// check as soon as the window is focused and online again
+			this.missed = true
+			return
+		}
+
+		try {
+			await this.check()
+		} catch (err) {
+			// the backup location has already shown the error
+			console.error('Error checking for a newer backup:', err)
+		} finally {
+			if (this.disposables) {
+				this.schedule()
+			}
+		}
+	}
+
+	/**
+	 * Run the auto check if the backup changed since the last restore, backup or poll
+	 * @return {Promise}
+	 */
+	async check () {
+		const mode = atom.config.get('sync-settings.autoCheckForUpdatedBackup')
+		if (mode === 'no' || mode === 'backup') {
+			// only look for backups made somewhere else
+			return
+		}
+
+		const backupLocation = await this.syncSettings.getBackupLocation(true)
+		if (!backupLocation) {
+			return
+		}
+		const data = await backupLocation.get()
+		if (!data) {
+			return
+		}
+		if (data.time === atom.config.get('sync-settings.hiddenSettings._lastBackupTime') || data.time === this.lastTime) {
+			return
+		}
+		this.lastTime = data.time
+
+		switch (mode) {
+			case 'alert':
+				await this.syncSettings.checkBackup(true)
+				break
+			case 'restore':
+				await this.syncSettings.restore(true)
+				break
+			case 'diff':
+				await this.syncSettings.checkBackup(true, true)
+				break
+			default:
+			// do nothing
+		}
+	}
+
+	dispose () {
+		this.stop()
+	}
+}
@@ -0,0 +1,131 @@
+const { CompositeDisposable, Emitter } = require('atom')
+const storage = require('./storage')
+const profiles = require('./profiles')
+
+const QUEUE_FILE = 'pending-backups.json'
+// settings that change where a queued backup has to be uploaded
+const TARGET_KEYS = [
+	'hiddenSettings._activeProfile',
+	'backupLocation',
+	'useOtherLocation',
+	'gistId',
+	'folderPath',
+	'gitRepoPath',
+	'encryptBackup',
+]
+
+const emitter = new Emitter()
+let pending = false
+
+/**
+ * Get the location the backup is uploaded to
+ * Encrypted and plain backups are queued apart so they are never uploaded together.
+ * @return {string}
+ */
+function getTarget () {
+	return `${profiles.getLocationId()}${atom.config.get('sync-settings.encryptBackup') ? ':encrypted' : ''}`
+}
+
+async function readQueues () {
+	return await storage.read(QUEUE_FILE) || {}
+}
+
+module.exports = {
+	/**
+	 * Check if a backup is waiting to be uploaded to the current location
+	 * Call `load` first to read the state saved by an earlier session.
+	 * @return {boolean}
+	 */
+	isPending () {
+		return pending
+	},
+
+	getTarget,
+
+	onDidChange (callback) {
+		return emitter.on('did-change', callback)
+	},
+
+	/**
+	 * Call back when the location backups are uploaded to changes
+	 * @param  {Function} callback
+	 * @return {Disposable}
+	 */
+	onDidChangeTarget (callback) {
+		return new CompositeDisposable(
+			...TARGET_KEYS.map(key => atom.config.onDidChange(`sync-settings.${key}`, callback)),
+		)
+	},
+
+	async load () {
+		const queues = await readQueues()
+		this.setPending(!!queues[getTarget()])
+	},
+
+	setPending (value) {
+		if (pending !== value) {
+			pending = value
+			emitter.emit('did-change', pending)
+		}
+	},
+
+	/**
+	 * Get the files waiting to be uploaded to the current location
+	 * Backups queued for another profile or location are not returned.
+	 * @return {Promise<object>} `time` the backup was queued, the `target` it was queued for, `files` to pass to `backupLocation.update`
+	 * and the merge `snapshot` to save once uploaded (`null` if the queued backups did not sync everything). `null` if nothing is queued.
+	 */
+	async get () {
+		const target = getTarget()
+		const queue = (await readQueues())[target]
+		if (!queue) {
+			return null
+		}
+
+		const files = {}
+		for (const fileName in queue.files) {
+			const content = queue.files[fileName]
+			files[fileName] = { content: content === null ? null : Buffer.from(content, 'base64') }
+		}
+		return { time: queue.time, target, files, snapshot: queue.snapshot || null }
+	},
+
+	/**
+	 * Queue files for upload to the current location on top of any already queued
+	 * @param  {object} files Files passed to `backupLocation.update`
+	 * @param  {object} [snapshot] Merge snapshot of the synced data to save once uploaded
+	 * @return {Promise}
+	 */
+	async add (files, snapshot) {
+		const queues = await readQueues()
+		const target = getTarget()
+		const queue = queues[target] || { files: {} }
+		queue.time = new Date().toISOString()
+		for (const fileName in files) {
+			const content = files[fileName].content
+			queue.files[fileName] = content ? Buffer.from(content).toString('base64') : null
+		}
+		if (snapshot) {
+			queue.snapshot = snapshot
+		}
+		queues[target] = queue
+		await storage.write(QUEUE_FILE, queues)
+		this.setPending(true)
+	},
+
+	/**
+	 * Remove the backup queued for a location
+	 * @param  {string} [target] `target` of the queue. Defaults to the current location.
+	 * @return {Promise}
+	 */
+	async clear (target = getTarget()) {
+		const queues = await readQueues()
+		delete queues[target]
+		if (Object.keys(queues).length > 0) {
+			await storage.write(QUEUE_FILE, queues)
+		} else {
+			await storage.remove(QUEUE_FILE)
+		}
+		this.setPending(target === getTarget() ? false : this.isPending())
+	},
+}
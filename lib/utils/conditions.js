@@ -0,0 +1,146 @@
+const os = require('os')
+const minimatch = require('minimatch')
+const { setValueAtKeyPath } = require('key-path-helpers')
+const utils = require('./utils')
+
+const CONDITIONS = {
+	platform: {
+		settings: 'sync-settings.platformSpecificSettings',
+		files: 'sync-settings.platformSpecificFiles',
+		getValue: () => process.platform,
+	},
+	hostname: {
+		settings: 'sync-settings.hostnameSpecificSettings',
+		files: 'sync-settings.hostnameSpecificFiles',
+		getValue: () => os.hostname(),
+	},
+}
+// later conditions are more specific and win
+const TYPES = ['platform', 'hostname']
+const SETTINGS_FILE = 'settings.json'
+const VARIANT_NAME = /^(.+)#(platform|hostname)-(.+)$/
+
+function getPatterns (type, kind) {
+	return atom.config.get(CONDITIONS[type][kind]) || []
+}
+
+module.exports = {
+	SETTINGS_FILE,
+
+	/**
+	 * Get the name of the variant of a backup file for this machine
+	 * @param  {string} fileName Name of the backup file (e.g. `settings.json`)
+	 * @param  {string} type `platform` or `hostname`
+	 * @return {string} Name with the condition (e.g. `settings.json#platform-linux`)
+	 */
+	getVariantName (fileName, type) {
+		return `${fileName}#${type}-${CONDITIONS[type].getValue()}`
+	},
+
+	/**
+	 * Parse the name of a variant of a backup file
+	 * @param  {string} fileName Name of the backup file
+	 * @return {object} `name`, `type`, `value` and whether this machine `matches` the condition. `null` if the file is shared
+	 */
+	parseVariantName (fileName) {
+		const match = fileName.match(VARIANT_NAME)
+		if (!match) {
+			return null
+		}
+		const [, name, type, value] = match
+		return {
+			name,
+			type,
+			value,
+			matches: CONDITIONS[type].getValue() === value,
+		}
+	},
+
+	/**
+	 * Get the condition of a file
+	 * @param  {string} fileName Name of the backup file (`\` instead of `/`)
+	 * @return {string} `hostname`, `platform` or `null` if the file is shared
+	 */
+	getFileCondition (fileName) {
+		const file = fileName.replace(/\\/g, '/')
+		const type = [...TYPES].reverse().find(type => getPatterns(type, 'files').some(g => minimatch(file, g, { dot: true })))
+		return type || null
+	},
+
+	/**
+	 * Name files specific to this machine by their variant
+	 * @param  {object} files Files by backup file name
+	 * @return {object} Files by backup file or variant name
+	 */
+	addFileVariants (files) {
+		const variants = {}
+		for (const fileName in files) {
+			const type = this.getFileCondition(fileName)
+			variants[type ? this.getVariantName(fileName, type) : fileName] = files[fileName]
+		}
+		return variants
+	},
+
+	/**
+	 * Move settings specific to this machine out of the shared settings
+	 * @param  {object} settings Settings by scope selector
+	 * @return {object} Shared `settings` and the `variants` of `settings.json` by variant name
+	 */
+	splitSettings (settings) {
+		const shared = JSON.parse(JSON.stringify(settings))
+		const variants = {}
+		for (const type of [...TYPES].reverse()) {
+			const patterns = getPatterns(type, 'settings')
+			if (patterns.length === 0) {
+				continue
+			}
+
+			const isConditional = keyPath => utils.matchesSettingPatterns(keyPath, patterns)
+			const variant = {}
+			for (const scopeSelector in shared) {
+				for (const { keyPath, value } of utils.findSettings(shared[scopeSelector], isConditional)) {
+					if (!variant[scopeSelector]) {
+						variant[scopeSelector] = {}
+					}
+					setValueAtKeyPath(variant[scopeSelector], keyPath, value)
+				}
+				utils.removeSettings(shared[scopeSelector], isConditional)
+			}
+			// an empty variant removes settings that are no longer set
+			variants[this.getVariantName(SETTINGS_FILE, type)] = variant
+		}
+		return { settings: shared, variants }
+	},
+
+	/**
+	 * Add the variants of settings matching this machine to the shared settings
+	 * Settings of a condition without a variant in the backup (e.g. before the first backup on another platform) keep their local values.
+	 * @param  {object} settings Shared settings by scope selector
+	 * @param  {object} variants Settings by scope selector for each condition type
+	 * @param  {object} localSettings Local settings by scope selector
+	 * @return {object} `settings`
+	 */
+	addSettingsVariants (settings, variants, localSettings) {
+		for (const type of TYPES) {
+			const patterns = getPatterns(type, 'settings')
+			if (patterns.length === 0) {
+				continue
+			}
+
+			const isConditional = keyPath => utils.matchesSettingPatterns(keyPath, patterns)
+			for (const scopeSelector in settings) {
+				utils.removeSettings(settings[scopeSelector], isConditional)
+			}
+			const variant = variants[type] || localSettings
+			for (const scopeSelector in variant) {
+				for (const { keyPath, value } of utils.findSettings(variant[scopeSelector], isConditional)) {
+					if (!settings[scopeSelector]) {
+						settings[scopeSelector] = {}
+					}
+					setValueAtKeyPath(settings[scopeSelector], keyPath, value)
+				}
+			}
+		}
+		return settings
+	},
+}
@@ -0,0 +1,194 @@
+const crypto = require('crypto')
+const util = require('util')
+const fs = require('fs-extra')
+const { Disposable } = require('atom')
+const encryption = require('./encryption')
+const storage = require('./storage')
+
+const scrypt = util.promisify(crypto.scrypt)
+
+const SERVICE = 'Atom Sync-Settings'
+const CREDENTIALS_FILE = 'credentials.json'
+const KEY_FILE = 'credentials.key'
+const SALT_LENGTH = 16
+const KEY_LENGTH = 32
+
+let backend = null
+
+function isFileEnabled () {
+	return !!atom.config.get('sync-settings.storeCredentialsInFile')
+}
+
+/**
+ * Credentials encrypted in the storage folder for systems without a keychain (e.g. headless Linux) if `storeCredentialsInFile` is checked
+ * The key is read from `SYNC_SETTINGS_CREDENTIALS_KEY` or generated in a file only the user can read.
+ * A generated key is stored next to the credentials, so it only protects them from casual reading.
+ */
+const fileBackend = {
+	async getSecret () {
+		if (process.env.SYNC_SETTINGS_CREDENTIALS_KEY) {
+			return process.env.SYNC_SETTINGS_CREDENTIALS_KEY
+		}
+
+		const keyPath = storage.getPath(KEY_FILE)
+		try {
+			return (await fs.readFile(keyPath, 'utf8')).trim()
+		} catch (err) {
+			if (err.code !== 'ENOENT') {
+				throw err
+			}
+		}
+		const secret = crypto.randomBytes(KEY_LENGTH).toString('hex')
+		await fs.outputFile(keyPath, secret, { mode: 0o600 })
+		return secret
+	},
+
+	async getKey (salt) {
+		return scrypt(await this.getSecret(), salt, KEY_LENGTH)
+	},
+
+	async readCredentials () {
+		return await storage.read(CREDENTIALS_FILE) || {}
+	},
+
+	async writeCredentials (credentials) {
+		await fs.outputJson(storage.getPath(CREDENTIALS_FILE), credentials, { mode: 0o600 })
+	},
+
+	async getPassword (service, account) {
+		const credentials = await this.readCredentials()
+		const encrypted = credentials[`${service}/${account}`]
+		if (!encrypted) {
+			return null
+		}
+		const content = await encryption.decrypt(Buffer.from(encrypted), salt => this.getKey(salt))
+		return content.toString()
+	},
+
+	async setPassword (service, account, password) {
+		const salt = crypto.randomBytes(SALT_LENGTH)
+		const encrypted = encryption.encrypt(Buffer.from(password), await this.getKey(salt), salt)
+		const credentials = await this.readCredentials()
+		credentials[`${service}/${account}`] = encrypted.toString()
+		await this.writeCredentials(credentials)
+	},
+
+	async deletePassword (service, account) {
+		const credentials = await this.readCredentials()
+		const name = `${service}/${account}`
+		if (!(name in credentials)) {
+			return false
+		}
+		delete credentials[name]
+		await this.writeCredentials(credentials)
+		return true
+	},
+}
+
+module.exports = {
+	SERVICE,
+	fileBackend,
+
+	/**
+	 * Use a keychain backend
+	 * @param  {object} store Object with `getPassword`, `setPassword` and `deletePassword` like `keytar`
+	 * @return {Disposable} Stops using the backend
+	 */
+	useBackend (store) {
+		backend = store
+		return new Disposable(() => {
+			if (backend === store) {
+				backend = null
+			}
+		})
+	},
+
+	/**
+	 * Get the keychain backend
+	 * @return {object} Registered backend, the encrypted file if `storeCredentialsInFile` is checked or `null`
+	 */
+	getBackend () {
+		return backend || (isFileEnabled() ? fileBackend : null)
+	},
+
+	/**
+	 * Get a credential from the keychain or the encrypted file
+	 * @param  {string} account Name of the credential
+	 * @return {Promise<string>} `null` if not stored
+	 */
+	async get (account) {
+		const store = this.getBackend()
+		if (store && store !== fileBackend) {
+			try {
+				const value = await store.getPassword(SERVICE, account)
+				if (value) {
+					return value
+				}
+			} catch (err) {
+				console.error(`Error reading ${account} from keychain:`, err)
+			}
+		}
+
+		try {
+			return await fileBackend.getPassword(SERVICE, account)
+		} catch (err) {
+			console.error(`Error reading ${account}:`, err)
+			return null
+		}
+	},
+
+	/**
+	 * Store a credential in the keychain or the encrypted file if the keychain is not available
+	 * @param  {string} account Name of the credential
+	 * @param  {string} value Credential
+	 * @return {Promise<boolean>} `false` if there is no keychain and `storeCredentialsInFile` is not checked
+	 */
+	async set (account, value) {
+		const store = this.getBackend()
+		if (store && store !== fileBackend) {
+			try {
+				await store.setPassword(SERVICE, account, value)
+				await fileBackend.deletePassword(SERVICE, account)
+				return true
+			} catch (err) {
+				console.error(`Error saving ${account} to keychain:`, err)
+			}
+		}
+
+		if (!isFileEnabled()) {
+			return false
+		}
+		await fileBackend.setPassword(SERVICE, account, value)
+		return true
+	},
+
+	async delete (account) {
+		const store = this.getBackend()
+		if (store && store !== fileBackend) {
+			try {
+				await store.deletePassword(SERVICE, account)
+			} catch (err) {
+				console.error(`Error deleting ${account} from keychain:`, err)
+			}
+		}
+		await fileBackend.deletePassword(SERVICE, account)
+	},
+
+	/**
+	 * Move the personal access token out of `config.cson`
+	 * It stays there if there is nowhere else to store it.
+	 * @return {Promise<boolean>} `true` if a token was moved
+	 */
+	async migrate () {
+		const token = atom.config.get('sync-settings.personalAccessToken')
+		if (!token) {
+			return false
+		}
+
+		if (!await this.set('personalAccessToken', token.trim())) {
+			return false
+		}
+		atom.config.unset('sync-settings.personalAccessToken')
+		return true
+	},
+}
@@ -0,0 +1,94 @@
+const crypto = require('crypto')
+const util = require('util')
+
+const scrypt = util.promisify(crypto.scrypt)
+
+const HEADER = 'sync-settings-encrypted:v1:'
+const ALGORITHM = 'aes-256-gcm'
+const SALT_LENGTH = 16
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const KEY_LENGTH = 32
+
+module.exports = {
+	getPassphrase () {
+		const passphrase = atom.config.get('sync-settings.encryptionPassphrase') || process.env.SYNC_SETTINGS_PASSPHRASE
+		return passphrase || ''
+	},
+
+	isEncrypted (content) {
+		return !!content && content.slice(0, HEADER.length).toString() === HEADER
+	},
+
+	hasEncryptedFiles (files) {
+		return Object.values(files || {}).some(file => this.isEncrypted(file.content))
+	},
+
+	encrypt (content, key, salt) {
+		const iv = crypto.randomBytes(IV_LENGTH)
+		const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+		const encrypted = Buffer.concat([cipher.update(content), cipher.final()])
+		const payload = Buffer.concat([salt, iv, cipher.getAuthTag(), encrypted])
+		return Buffer.from(HEADER + payload.toString('base64'))
+	},
+
+	async decrypt (content, getKey) {
+		const payload = Buffer.from(content.slice(HEADER.length).toString(), 'base64')
+		let offset = 0
+		const salt = payload.slice(offset, offset += SALT_LENGTH)
+		const iv = payload.slice(offset, offset += IV_LENGTH)
+		const tag = payload.slice(offset, offset += TAG_LENGTH)
+		const encrypted = payload.slice(offset)
+		const decipher = crypto.createDecipheriv(ALGORITHM, await getKey(salt), iv)
+		decipher.setAuthTag(tag)
+		return Buffer.concat([decipher.update(encrypted), decipher.final()])
+	},
+
+	/**
+	 * Encrypt the content of each file
+	 * Files without content are kept since they mark files to delete.
+	 * @param  {object} files Files to encrypt
+	 * @param  {string} passphrase Passphrase to derive the key from
+	 * @return {Promise<object>} Encrypted files
+	 */
+	async encryptFiles (files, passphrase) {
+		const salt = crypto.randomBytes(SALT_LENGTH)
+		const key = await scrypt(passphrase, salt, KEY_LENGTH)
+		const encrypted = {}
+		for (const fileName in files) {
+			const file = files[fileName]
+			encrypted[fileName] = {
+				...file,
+				content: file.content ? this.encrypt(file.content, key, salt) : file.content,
+			}
+		}
+		return encrypted
+	},
+
+	/**
+	 * Decrypt the content of each encrypted file
+	 * Files that are not encrypted are returned as is.
+	 * @param  {object} files Files to decrypt
+	 * @param  {string} passphrase Passphrase to derive the key from
+	 * @return {Promise<object>} Decrypted files. Rejects if the passphrase is wrong.
+	 */
+	async decryptFiles (files, passphrase) {
+		const keys = {}
+		const getKey = async (salt) => {
+			const hex = salt.toString('hex')
+			if (!(hex in keys)) {
+				keys[hex] = await scrypt(passphrase, salt, KEY_LENGTH)
+			}
+			return keys[hex]
+		}
+		const decrypted = {}
+		for (const fileName in files) {
+			const file = files[fileName]
+			decrypted[fileName] = {
+				...file,
+				content: this.isEncrypted(file.content) ? await this.decrypt(file.content, getKey) : file.content,
+			}
+		}
+		return decrypted
+	},
+}
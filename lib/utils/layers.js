@@ -0,0 +1,141 @@
+const path = require('path')
+const { readFiles } = require('./backup-folder')
+const notify = require('./notify')
+const utils = require('./utils')
+
+module.exports = {
+	/**
+	 * Get the configured base backups in the order they are layered
+	 * @return {string[]} Gist IDs or absolute folder paths
+	 */
+	getBaseBackups () {
+		return (atom.config.get('sync-settings.baseBackups') || [])
+			.map(source => source.trim())
+			.filter(source => source)
+	},
+
+	/**
+	 * Get the files of a base backup
+	 * Absolute paths are read as a local folder, anything else is a gist ID.
+	 * @param  {string} source Gist ID or folder path
+	 * @return {Promise<object>} Files of the backup. Falsey value on error.
+	 */
+	async getFiles (source) {
+		try {
+			if (path.isAbsolute(source)) {
+				return await readFiles(source, ['.sync-settings.json'])
+			}
+
+			const data = await require('../location/gist').get({ gistId: source })
+			return data ? data.files : null
+		} catch (err) {
+			let message
+			try {
+				message = JSON.parse(err.message).message
+			} catch (notUsed) {
+				message = err.message
+			}
+			console.error(`Error getting base backup ${source}:`, err)
+			notify.error(`Sync-Settings: Error getting base backup \`${source}\``, {
+				dismissable: true,
+				detail: message,
+			})
+		}
+	},
+
+	fromLegacySettings (settings) {
+		// backed up before v2.0.2
+		return '*' in settings ? settings : { '*': settings }
+	},
+
+	/**
+	 * Deep merge settings with values of `overlay` taking precedence
+	 * @param  {object} base Settings of the lower layer
+	 * @param  {object} overlay Settings of the higher layer
+	 * @return {object} Merged settings
+	 */
+	mergeSettings (base, overlay) {
+		if (!utils.isObject(base) || !utils.isObject(overlay)) {
+			return typeof overlay === 'undefined' ? base : overlay
+		}
+
+		const merged = { ...base }
+		for (const key in overlay) {
+			merged[key] = key in base ? this.mergeSettings(base[key], overlay[key]) : overlay[key]
+		}
+		return merged
+	},
+
+	/**
+	 * Get the settings that differ from the base layer
+	 * Settings that only exist in the base layer are kept in the base layer.
+	 * @param  {object} settings Local settings
+	 * @param  {object} base Settings of the base layers
+	 * @return {object} Settings to store in the personal layer
+	 */
+	subtractSettings (settings, base) {
+		const result = {}
+		for (const key in settings) {
+			if (utils.isObject(settings[key]) && utils.isObject(base[key])) {
+				const sub = this.subtractSettings(settings[key], base[key])
+				if (Object.keys(sub).length > 0) {
+					result[key] = sub
+				}
+			} else if (!(key in base) || !utils.isEqual(settings[key], base[key])) {
+				result[key] = settings[key]
+			}
+		}
+		return result
+	},
+
+	/**
+	 * Get the packages that differ from the base layer
+	 * @param  {object} packages Local packages
+	 * @param  {object} base Packages of the base layers
+	 * @return {object} Packages to store in the personal layer
+	 */
+	subtractPackages (packages, base) {
+		return utils.filterObject(packages, ([name, pkg]) => !(name in base) || !utils.isEqual(pkg, base[name]))
+	},
+
+	/**
+	 * Add a layer on top of the merged layers
+	 * @param  {object} layers Merged `settings`, `packages` and `origins` of the lower layers
+	 * @param  {string} source Name of the layer
+	 * @param  {object} data `settings` and `packages` of the layer
+	 * @return {object} Merged layers
+	 */
+	addLayer (layers, source, data) {
+		const origins = {
+			settings: { ...layers.origins.settings },
+			packages: { ...layers.origins.packages },
+		}
+		let settings = layers.settings
+		let packages = layers.packages
+
+		if (data.settings) {
+			settings = settings ? this.mergeSettings(settings, data.settings) : data.settings
+			for (const { scopeSelector, keyPath } of utils.settingsToKeyPaths(data.settings)) {
+				const name = utils.settingName(scopeSelector, keyPath)
+				if (source) {
+					origins.settings[name] = source
+				} else {
+					delete origins.settings[name]
+				}
+			}
+		}
+
+		if (data.packages) {
+			packages = { ...packages, ...data.packages }
+			for (const name in data.packages) {
+				if (source) {
+					origins.packages[name] = source
+				} else {
+					delete origins.packages[name]
+				}
+			}
+		}
+
+		return { settings, packages, origins }
+	},
+}
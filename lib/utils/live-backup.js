@@ -0,0 +1,145 @@
+const path = require('path')
+const { CompositeDisposable, watchPath } = require('atom')
+const minimatch = require('minimatch')
+const utils = require('./utils')
+const merge = require('./merge')
+
+/**
+ * Back up automatically whenever settings or synced files change
+ */
+module.exports = class LiveBackup {
+	constructor (syncSettings) {
+		this.syncSettings = syncSettings
+		this.disposables = null
+		this.timeout = null
+		this.lastBackup = 0
+		this.running = false
+	}
+
+	isActive () {
+		return !!this.disposables
+	}
+
+	async start () {
+		if (this.disposables) {
+			return
+		}
+		this.disposables = new CompositeDisposable()
+		this.settings = JSON.stringify(utils.getFilteredSettings())
+
+		this.disposables.add(atom.config.onDidChange(() => {
+			// ignore changes to settings that are not backed up (e.g. the last backup time)
+			const settings = JSON.stringify(utils.getFilteredSettings())
+			if (settings !== this.settings) {
+				this.settings = settings
+				this.schedule()
+			}
+		}))
+
+		const watcher = await watchPath(atom.getConfigDirPath(), {}, async (events) => {
+			for (const event of events) {
+				if (await this.isSyncedFile(event.path) || (event.oldPath && await this.isSyncedFile(event.oldPath))) {
+					this.schedule()
+					return
+				}
+			}
+		})
+		if (this.disposables) {
+			this.disposables.add(watcher)
+		} else {
+			// stopped while starting
+			watcher.dispose()
+		}
+	}
+
+	stop () {
+		clearTimeout(this.timeout)
+		this.timeout = null
+		if (this.disposables) {
+			this.disposables.dispose()
+			this.disposables = null
+		}
+	}
+
+	/**
+	 * Check if a file is backed up
+	 * @param  {string} filePath Absolute path
+	 * @return {Promise<boolean>}
+	 */
+	async isSyncedFile (filePath) {
+		const filePaths = []
+		if (atom.config.get('sync-settings.syncKeymap')) {
+			filePaths.push(atom.keymaps.getUserKeymapPath())
+		}
+		if (atom.config.get('sync-settings.syncStyles')) {
+			filePaths.push(atom.styles.getUserStyleSheetPath())
+		}
+		if (atom.config.get('sync-settings.syncInit')) {
+			filePaths.push(atom.getUserInitScriptPath())
+		}
+		if (atom.config.get('sync-settings.syncSnippets')) {
+			filePaths.push(await utils.getSnippetsPath())
+		}
+		const extraFiles = atom.config.get('sync-settings.extraFiles') || []
+		filePaths.push(...extraFiles.map(file => path.resolve(atom.getConfigDirPath(), file)))
+		if (filePaths.includes(filePath)) {
+			return true
+		}
+
+		const relativePath = path.relative(atom.getConfigDirPath(), filePath).replace(/\\/g, '/')
+		const extraFilesGlob = atom.config.get('sync-settings.extraFilesGlob') || []
+		const ignoreFilesGlob = atom.config.get('sync-settings.ignoreFilesGlob') || []
+		return extraFilesGlob.some(pattern => minimatch(relativePath, pattern, { dot: true })) &&
+			!ignoreFilesGlob.some(pattern => minimatch(relativePath, pattern, { dot: true }))
+	}
+
+	/**
+	 * Debounce changes and wait long enough since the last live backup
+	 * @return {undefined}
+	 */
+	schedule () {
+		const delay = atom.config.get('sync-settings.liveBackupDelay') * 1000
+		const interval = atom.config.get('sync-settings.liveBackupInterval') * 1000
+		const wait = Math.max(delay, this.lastBackup + interval - Date.now())
+
+		clearTimeout(this.timeout)
+		this.timeout = setTimeout(() => this.backup(), wait)
+	}
+
+	async backup () {
+		this.timeout = null
+		if (!this.disposables) {
+			return
+		}
+		if (this.running || this.syncSettings.restoring) {
+			// try again once the current sync is done
+			this.schedule()
+			return
+		}
+
+		this.running = true
+		try {
+			const localData = await this.syncSettings.getLocalData()
+			if (!localData) {
+				return
+			}
+			const snapshot = await merge.getSnapshot()
+			if (snapshot && utils.isEqual(merge.createSnapshot(localData), snapshot)) {
+				// nothing changed since the last sync (e.g. after a restore)
+				return
+			}
+
+			this.lastBackup = Date.now()
+			await this.syncSettings.backup(true, { quiet: true })
+		} catch (err) {
+			// the backup location has already shown the error
+			console.error('Error backing up changes:', err)
+		} finally {
+			this.running = false
+		}
+	}
+
+	dispose () {
+		this.stop()
+	}
+}
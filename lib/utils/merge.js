@@ -0,0 +1,315 @@
+const diff = require('diff')
+const isBinaryPath = require('is-binary-path')
+const storage = require('./storage')
+const utils = require('./utils')
+const profiles = require('./profiles')
+
+// snapshots of the last sync by profile and backup location
+const SNAPSHOT_FILE = 'last-sync.json'
+const OUTPUTS = ['local', 'backup', 'base']
+
+function toKeyPath (keys) {
+	return utils.settingName(keys[0], keys.slice(1).join('.'))
+}
+
+function flattenSettings (settings, parents = [], items = {}) {
+	for (const key in settings) {
+		const keys = [...parents, key]
+		const value = settings[key]
+		if (utils.isObject(value) && Object.keys(value).length > 0) {
+			flattenSettings(value, keys, items)
+		} else {
+			items[toKeyPath(keys)] = { keys, value }
+		}
+	}
+	return items
+}
+
+function unflattenSettings (items) {
+	const settings = {}
+	for (const { keys, value } of Object.values(items)) {
+		let obj = settings
+		for (const key of keys.slice(0, -1)) {
+			if (!utils.isObject(obj[key])) {
+				obj[key] = {}
+			}
+			obj = obj[key]
+		}
+		obj[keys[keys.length - 1]] = value
+	}
+	return settings
+}
+
+function fileToString (fileName, file) {
+	if (!file || file.content == null) {
+		return undefined
+	}
+	return file.content.toString(isBinaryPath(fileName) ? 'base64' : 'utf8')
+}
+
+function mergeText (local, backup, base) {
+	if ([local, backup, base].some(content => typeof content === 'undefined')) {
+		// added or deleted on one side
+		return
+	}
+	const patch = (content) => diff.structuredPatch('base', 'file', base, content, '', '', { context: 0 })
+	const merged = diff.merge(patch(local), patch(backup), base)
+	if (merged.hunks.some(hunk => hunk.conflict)) {
+		return
+	}
+	// merged hunks do not keep the line delimiters `applyPatch` needs
+	for (const hunk of merged.hunks) {
+		hunk.linedelimiters = hunk.lines.map(() => '\n')
+	}
+	const content = diff.applyPatch(base, merged)
+	return content === false ? undefined : content
+}
+
+function matchingKeys (items, name) {
+	// diffs of arrays and objects can point inside a flattened setting
+	return Object.keys(items).filter(key => key === name || name.startsWith(`${key}.`) || key.startsWith(`${name}.`))
+}
+
+function selectItems (local, backup, choices) {
+	const result = { local: { ...local }, backup: { ...backup } }
+	for (const name in choices) {
+		const choice = choices[name]
+		if (choice !== 'local' && choice !== 'backup') {
+			continue
+		}
+		const from = choice === 'local' ? local : backup
+		const to = choice === 'local' ? result.backup : result.local
+		for (const key of matchingKeys({ ...local, ...backup }, name)) {
+			if (key in from) {
+				to[key] = from[key]
+			} else {
+				delete to[key]
+			}
+		}
+	}
+	return result
+}
+
+/**
+ * Merge one item that changed on either side since the last sync
+ * @param  {*} local Local value
+ * @param  {*} backup Backup value
+ * @param  {*} base Value at the last sync
+ * @param  {Function} [mergeFn] Merges values changed on both sides. Returns undefined on conflict.
+ * @return {object} `status` and merged `local`, `backup` and `base` values
+ */
+function mergeItem (local, backup, base, mergeFn) {
+	if (utils.isEqual(local, backup)) {
+		return { status: null, local, backup, base: local }
+	}
+	if (utils.isEqual(local, base)) {
+		return { status: 'backup', local: backup, backup, base: backup }
+	}
+	if (utils.isEqual(backup, base)) {
+		return { status: 'local', local, backup: local, base: local }
+	}
+	const merged = mergeFn ? mergeFn(local, backup, base) : undefined
+	if (typeof merged !== 'undefined') {
+		return { status: 'merged', local: merged, backup: merged, base: merged }
+	}
+	return { status: 'conflict', local, backup, base }
+}
+
+module.exports = {
+	/**
+	 * Get the snapshot of the last sync with the backup location of the active profile
+	 * @return {Promise<object>} Snapshot or `null` if never synced
+	 */
+	async getSnapshot () {
+		const snapshots = await storage.read(SNAPSHOT_FILE) || {}
+		return snapshots[profiles.getLocationId()] || null
+	},
+
+	async saveSnapshot (snapshot) {
+		const snapshots = await storage.read(SNAPSHOT_FILE) || {}
+		snapshots[profiles.getLocationId()] = snapshot
+		await storage.write(SNAPSHOT_FILE, snapshots)
+	},
+
+	/**
+	 * Create a snapshot of synced data
+	 * @param  {object} data Local or backup data with `settings`, `packages` and `files`
+	 * @return {object} Snapshot that can be stored as JSON
+	 */
+	createSnapshot (data) {
+		const files = {}
+		for (const fileName in data.files || {}) {
+			files[fileName] = fileToString(fileName, data.files[fileName])
+		}
+		return {
+			settings: data.settings || null,
+			packages: data.packages || null,
+			files,
+		}
+	},
+
+	/**
+	 * Three-way merge local and backup data with the last synced snapshot
+	 * Conflicting items keep their own value on each side and their last synced value in the new snapshot.
+	 * @param  {object} localData Local data
+	 * @param  {object} backupData Backup data
+	 * @param  {object} snapshot Snapshot of the last sync
+	 * @return {object} `changes` with the status of each changed setting key path, package and file;
+	 *                  `local` and `backup` data to write to each side; `base` snapshot to save
+	 */
+	mergeData (localData, backupData, snapshot) {
+		const result = {
+			changes: { settings: {}, packages: {}, files: {} },
+			local: { settings: localData.settings, packages: localData.packages, files: localData.files },
+			backup: { settings: backupData.settings, packages: backupData.packages, files: backupData.files },
+			base: { settings: snapshot.settings, packages: snapshot.packages, files: { ...snapshot.files } },
+		}
+
+		if (localData.settings && backupData.settings) {
+			const local = flattenSettings(localData.settings)
+			const backup = flattenSettings(backupData.settings)
+			const base = flattenSettings(snapshot.settings || {})
+			const merged = { local: {}, backup: {}, base: {} }
+			for (const keyPath of new Set([...Object.keys(local), ...Object.keys(backup)])) {
+				const value = (items) => items[keyPath] ? items[keyPath].value : undefined
+				const item = mergeItem(value(local), value(backup), value(base))
+				if (item.status) {
+					result.changes.settings[keyPath] = item.status
+				}
+				const { keys } = local[keyPath] || backup[keyPath]
+				for (const output of OUTPUTS) {
+					if (typeof item[output] !== 'undefined') {
+						merged[output][keyPath] = { keys, value: item[output] }
+					}
+				}
+			}
+			for (const output of OUTPUTS) {
+				result[output].settings = unflattenSettings(merged[output])
+			}
+		}
+
+		if (localData.packages && backupData.packages) {
+			const base = snapshot.packages || {}
+			const merged = { local: {}, backup: {}, base: {} }
+			for (const name of new Set([...Object.keys(localData.packages), ...Object.keys(backupData.packages)])) {
+				const item = mergeItem(localData.packages[name], backupData.packages[name], base[name])
+				if (item.status) {
+					result.changes.packages[name] = item.status
+				}
+				for (const output of OUTPUTS) {
+					if (typeof item[output] !== 'undefined') {
+						merged[output][name] = item[output]
+					}
+				}
+			}
+			for (const output of OUTPUTS) {
+				result[output].packages = utils.sortObject(merged[output])
+			}
+		}
+
+		if (localData.files || backupData.files) {
+			const localFiles = localData.files || {}
+			const backupFiles = backupData.files || {}
+			const merged = { local: {}, backup: {} }
+			for (const fileName of new Set([...Object.keys(localFiles), ...Object.keys(backupFiles)])) {
+				const file = localFiles[fileName] || backupFiles[fileName]
+				const isBinary = isBinaryPath(fileName)
+				const item = mergeItem(
+					fileToString(fileName, localFiles[fileName]),
+					fileToString(fileName, backupFiles[fileName]),
+					snapshot.files ? snapshot.files[fileName] : undefined,
+					isBinary ? null : mergeText,
+				)
+				if (item.status) {
+					result.changes.files[fileName] = item.status
+				}
+				for (const output of ['local', 'backup']) {
+					if (typeof item[output] !== 'undefined') {
+						merged[output][fileName] = {
+							path: file.path,
+							content: Buffer.from(item[output], isBinary ? 'base64' : 'utf8'),
+						}
+					}
+				}
+				if (typeof item.base === 'undefined') {
+					delete result.base.files[fileName]
+				} else {
+					result.base.files[fileName] = item.base
+				}
+			}
+			result.local.files = merged.local
+			result.backup.files = merged.backup
+		}
+
+		return result
+	},
+
+	/**
+	 * Take the local or backup side of selected items
+	 * @param  {object} localData Local data
+	 * @param  {object} backupData Backup data
+	 * @param  {object} selection `settings`, `packages` and `files` mapping each key path or name to `local`, `backup` or `skip`
+	 * @return {object} `local` data to restore and `backup` data to back up (`null` if nothing is taken from the other side),
+	 *                  `deleteLocalFiles` and `deleteBackupFiles`
+	 */
+	selectData (localData, backupData, selection) {
+		const result = {
+			local: null,
+			backup: null,
+			deleteLocalFiles: [],
+			deleteBackupFiles: [],
+		}
+		const choices = (type) => Object.values(selection[type] || {})
+		const takes = (type, choice) => choices(type).includes(choice)
+		const restore = { settings: null, packages: null, files: {} }
+		const backup = { settings: backupData.settings, packages: backupData.packages, files: {} }
+
+		if (takes('settings', 'local') || takes('settings', 'backup')) {
+			const items = selectItems(flattenSettings(localData.settings || {}), flattenSettings(backupData.settings || {}), selection.settings)
+			if (takes('settings', 'backup')) {
+				restore.settings = unflattenSettings(items.local)
+			}
+			if (takes('settings', 'local')) {
+				backup.settings = unflattenSettings(items.backup)
+			}
+		}
+
+		if (takes('packages', 'local') || takes('packages', 'backup')) {
+			const items = selectItems(localData.packages || {}, backupData.packages || {}, selection.packages)
+			if (takes('packages', 'backup')) {
+				restore.packages = utils.sortObject(items.local)
+			}
+			if (takes('packages', 'local')) {
+				backup.packages = utils.sortObject(items.backup)
+			}
+		}
+
+		const localFiles = localData.files || {}
+		const backupFiles = backupData.files || {}
+		for (const fileName in selection.files || {}) {
+			const choice = selection.files[fileName]
+			if (choice === 'backup') {
+				if (backupFiles[fileName]) {
+					restore.files[fileName] = backupFiles[fileName]
+				} else if (localFiles[fileName]) {
+					result.deleteLocalFiles.push(localFiles[fileName])
+				}
+			} else if (choice === 'local') {
+				if (localFiles[fileName]) {
+					backup.files[fileName] = localFiles[fileName]
+				} else if (backupFiles[fileName]) {
+					result.deleteBackupFiles.push(fileName)
+				}
+			}
+		}
+
+		if (['settings', 'packages', 'files'].some(type => takes(type, 'backup'))) {
+			result.local = restore
+		}
+		if (['settings', 'packages', 'files'].some(type => takes(type, 'local'))) {
+			result.backup = backup
+		}
+
+		return result
+	},
+}
@@ -84,6 +84,67 @@ Do you want to back up this file anyway?`.trim(),
 		})
 	},
 
+	/**
+	 * Report secrets that blocked a backup
+	 * @param  {object[]} findings Result of `secrets.scan`
+	 * @param  {Function} retry Runs the blocked backup again
+	 */
+	secretsFound (findings, retry, redact) {
+		const MAX_FINDINGS = 10
+		const list = findings.slice(0, MAX_FINDINGS).map(finding => (
+			`- \`${finding.location}\`${finding.line ? ` line ${finding.line}` : ''}: ${finding.type} (\`${finding.id}\`)`
+		))
+		if (findings.length > MAX_FINDINGS) {
+			list.push(`- and ${findings.length - MAX_FINDINGS} more`)
+		}
+		const notification = notify.error('Sync-Settings: Possible secrets found', {
+			description: `
+Your backup was not uploaded because it might contain secrets:
+
+${list.join('\n')}
+
+Remove them, add the IDs of findings that are safe to Secrets Allowlist or back up with the secrets redacted.`.trim(),
+			dismissable: true,
+			buttons: [{
+				text: 'Allow All and Backup',
+				onDidClick () {
+					notification.dismiss()
+					const allowlist = atom.config.get('sync-settings.secretsAllowlist') || []
+					atom.config.set('sync-settings.secretsAllowlist', [...allowlist, ...findings.map(finding => finding.id)])
+					retry()
+				},
+			}, {
+				text: 'Redact and Backup',
+				onDidClick () {
+					notification.dismiss()
+					redact()
+				},
+			}, {
+				text: 'Package settings',
+				onDidClick () {
+					notification.dismiss()
+					atom.workspace.open('atom://config/packages/sync-settings')
+				},
+			}],
+		})
+	},
+
+	invalidPassphrase (missing) {
+		const notification = notify.error(`Sync-Settings: ${missing ? 'No Encryption Passphrase' : 'Invalid Encryption Passphrase'}`, {
+			description: missing
+				? 'Your backup is encrypted. Enter your passphrase in the settings or set the environment variable `SYNC_SETTINGS_PASSPHRASE`.'
+				: 'Your backup could not be decrypted. Is your passphrase correct?',
+			dismissable: true,
+			buttons: [{
+				text: 'Package settings',
+				onDidClick () {
+					notification.dismiss()
+					atom.workspace.open('atom://config/packages/sync-settings')
+				},
+			}],
+		})
+	},
+
 	newerBackup (autoCheck, diffData, syncSettings) {
 		const buttons = [{
 			text: 'Restore',
@@ -97,6 +158,12 @@ Do you want to back up this file anyway?`.trim(),
 				notification.dismiss()
 				syncSettings.backup()
 			},
+		}, {
+			text: 'Merge',
+			onDidClick () {
+				notification.dismiss()
+				syncSettings.merge()
+			},
 		}, {
 			text: 'View Backup',
 			onDidClick () {
@@ -135,6 +202,21 @@ Do you want to back up this file anyway?`.trim(),
 		})
 	},
 
+	mergeConflicts (conflicts, syncSettings) {
+		const notification = notify.warning('Sync-Settings: Merged with conflicts', {
+			dismissable: true,
+			description: 'The following were changed locally and in your backup and have been left unchanged on both sides:',
+			detail: conflicts.join('\n'),
+			buttons: [{
+				text: 'View Diff',
+				onDidClick () {
+					notification.dismiss()
+					syncSettings.viewDiff()
+				},
+			}],
+		})
+	},
+
 	newBackup (action) {
 		notify.success(`Sync-Settings: ${action} successfully`, {
 			dismissable: true,
@@ -153,13 +235,63 @@ Do you want to back up this file anyway?`.trim(),
 		})
 	},
 
-	settingsSynced () {
+	newProfile (name) {
+		const notification = notify.success(`Sync-Settings: Created profile '${name}'`, {
+			dismissable: true,
+			description: 'Your new profile has no backup location yet. Create a new backup or enter an existing one in the settings.',
+			buttons: [{
+				text: 'Create Backup',
+				onDidClick () {
+					notification.dismiss()
+					atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:create-backup')
+				},
+			}, {
+				text: 'Package settings',
+				onDidClick () {
+					notification.dismiss()
+					atom.workspace.open('atom://config/packages/sync-settings')
+				},
+			}],
+		})
+	},
+
+	settingsSynced (undoable) {
+		const buttons = [{
+			text: 'View Backup',
+			onDidClick () {
+				notification.dismiss()
+				atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:view-backup')
+			},
+		}]
+		if (undoable) {
+			buttons.push({
+				text: 'Undo Restore',
+				onDidClick () {
+					notification.dismiss()
+					atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:undo-restore')
+				},
+			})
+		}
 		const notification = notify.success('Sync-Settings: Your settings and files were successfully synchronized.', {
+			buttons,
+		})
+	},
+
+	backupQueued () {
+		const notification = notify.warning('Sync-Settings: Backup queued', {
+			dismissable: true,
+			description: 'Cannot connect to your backup location. Are you offline?\n\nYour backup will be uploaded when you are back online.',
 			buttons: [{
-				text: 'View Backup',
+				text: 'Retry Now',
 				onDidClick () {
 					notification.dismiss()
-					atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:view-backup')
+					atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:flush-backup-queue')
+				},
+			}, {
+				text: 'Discard',
+				onDidClick () {
+					notification.dismiss()
+					atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:discard-backup-queue')
 				},
 			}],
 		})
@@ -0,0 +1,115 @@
+const os = require('os')
+const isBinaryPath = require('is-binary-path')
+const conditions = require('./conditions')
+const utils = require('./utils')
+
+// files with a fixed name that are not extra files
+const ATOM_FILES = [
+	'settings.json',
+	'packages.json',
+	'keymap.cson',
+	'keymap.json',
+	'styles.css',
+	'styles.less',
+	'init.coffee',
+	'init.js',
+	'snippets.cson',
+	'snippets.json',
+]
+
+function placeholder (name) {
+	return `$\{${name}}`
+}
+
+/**
+ * Get the placeholders and their values on this machine
+ * The config dir comes before the home dir it is usually in.
+ * @return {Array[]} Placeholder, value and a regular expression matching the value as whole path segments
+ */
+function getVariables () {
+	const variables = []
+	for (const [name, value] of [['ATOM_HOME', atom.getConfigDirPath()], ['HOME', os.homedir()]]) {
+		if (value) {
+			variables.push([placeholder(name), value, new RegExp(`(?<![\\w.-])${utils.escapeRegExp(value)}(?![\\w.-])`, 'g')])
+		}
+	}
+
+	let username
+	try {
+		username = os.userInfo().username
+	} catch (err) {
+		username = process.env.USER || process.env.USERNAME
+	}
+	if (username) {
+		variables.push([placeholder('USER'), username, new RegExp(`(?<=[\\\\/])${utils.escapeRegExp(username)}(?![\\w.-])`, 'g')])
+	}
+	return variables
+}
+
+module.exports = {
+	/**
+	 * Replace the config dir, home dir and username with `${ATOM_HOME}`, `${HOME}` and `${USER}`
+	 * @param  {string} str String to back up
+	 * @return {string}
+	 */
+	substitute (str) {
+		for (const [name, , regex] of getVariables()) {
+			str = str.replace(regex, name)
+		}
+		return str
+	},
+
+	/**
+	 * Replace `${ATOM_HOME}`, `${HOME}` and `${USER}` with their values on this machine
+	 * @param  {string} str Restored string
+	 * @return {string}
+	 */
+	expand (str) {
+		for (const [name, value] of getVariables()) {
+			str = str.split(name).join(value)
+		}
+		return str
+	},
+
+	substituteSettings (settings) {
+		if (!atom.config.get('sync-settings.substitutePaths')) {
+			return settings
+		}
+		return utils.mapStrings(settings, str => this.substitute(str))
+	},
+
+	expandSettings (settings) {
+		if (!atom.config.get('sync-settings.substitutePaths')) {
+			return settings
+		}
+		return utils.mapStrings(settings, str => this.expand(str))
+	},
+
+	/**
+	 * Check if placeholders are used in the content of a file
+	 * @param  {string} fileName Name of the backup file
+	 * @return {boolean} `true` for text extra files if `substitutePathsInFiles` is checked
+	 */
+	isSubstitutedFile (fileName) {
+		if (!atom.config.get('sync-settings.substitutePathsInFiles')) {
+			return false
+		}
+		const variant = conditions.parseVariantName(fileName)
+		const name = variant ? variant.name : fileName
+		return !ATOM_FILES.includes(name) && !isBinaryPath(name)
+	},
+
+	substituteFile (fileName, content) {
+		if (!content || !this.isSubstitutedFile(fileName)) {
+			return content
+		}
+		return Buffer.from(this.substitute(content.toString()))
+	},
+
+	expandFile (fileName, content) {
+		if (!content || !this.isSubstitutedFile(fileName)) {
+			return content
+		}
+		return Buffer.from(this.expand(content.toString()))
+	},
+}
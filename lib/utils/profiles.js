@@ -0,0 +1,142 @@
+const utils = require('./utils')
+
+const DEFAULT_PROFILE = 'default'
+
+// settings that are saved separately for each profile
+const PROFILE_KEYS = [
+	'backupLocation',
+	'gistId',
+	'gistDescription',
+	'folderPath',
+	'gitRepoPath',
+	'gitRemote',
+	'baseBackups',
+	'useOtherLocation',
+	'encryptBackup',
+	'syncSettings',
+	'disallowedSettings',
+	'allowedSettings',
+	'platformSpecificSettings',
+	'hostnameSpecificSettings',
+	'substitutePaths',
+	'syncPackages',
+	'syncThemes',
+	'installLatestVersion',
+	'packageVersionPolicies',
+	'updatePackages',
+	'downgradePackages',
+	'removeObsoletePackages',
+	'onlySyncCommunityPackages',
+	'syncKeymap',
+	'syncStyles',
+	'syncInit',
+	'syncSnippets',
+	'extraFiles',
+	'extraFilesGlob',
+	'ignoreFilesGlob',
+	'platformSpecificFiles',
+	'hostnameSpecificFiles',
+	'substitutePathsInFiles',
+	'renderTemplates',
+	'removeUnfamiliarFiles',
+	'hiddenSettings._lastBackupTime',
+]
+
+// settings that identify the backup location and are not copied to a new profile
+const LOCATION_KEYS = [
+	'gistId',
+	'folderPath',
+	'gitRepoPath',
+	'gitRemote',
+	'hiddenSettings._lastBackupTime',
+]
+
+module.exports = {
+	DEFAULT_PROFILE,
+	PROFILE_KEYS,
+
+	getActiveProfile () {
+		return atom.config.get('sync-settings.hiddenSettings._activeProfile') || DEFAULT_PROFILE
+	},
+
+	getProfiles () {
+		return atom.config.get('sync-settings.hiddenSettings._profiles') || {}
+	},
+
+	getProfileNames () {
+		const names = Object.keys(this.getProfiles())
+		const active = this.getActiveProfile()
+		if (!names.includes(active)) {
+			names.push(active)
+		}
+		return names.sort()
+	},
+
+	hasProfiles () {
+		return Object.keys(this.getProfiles()).length > 0
+	},
+
+	/**
+	 * Identify the backup location of the active profile
+	 * @return {string} Active profile, location type and the gist, folder or repository of the location
+	 */
+	getLocationId () {
+		const location = atom.config.get('sync-settings.useOtherLocation') ? 'other' : atom.config.get('sync-settings.backupLocation') || 'gist'
+		let target = ''
+		switch (location) {
+			case 'gist':
+				target = atom.config.get('sync-settings.gistId') || process.env.GIST_ID || ''
+				break
+			case 'folder':
+				target = atom.config.get('sync-settings.folderPath') || process.env.SYNC_SETTINGS_FOLDER || ''
+				break
+			case 'git':
+				target = atom.config.get('sync-settings.gitRepoPath') || process.env.SYNC_SETTINGS_GIT_REPO || ''
+				break
+		}
+		return `${this.getActiveProfile()}:${location}:${target.trim()}`
+	},
+
+	getCurrentValues () {
+		const values = {}
+		for (const key of PROFILE_KEYS) {
+			const value = atom.config.get(`sync-settings.${key}`, { sources: [atom.config.mainSource] })
+			if (typeof value !== 'undefined') {
+				values[key] = value
+			}
+		}
+		return values
+	},
+
+	/**
+	 * Save the current profile and load the settings of another profile
+	 * A new profile starts with the settings of the current profile without its backup location.
+	 * @param  {string} name Name of the profile to switch to
+	 * @return {boolean} Returns true if a new profile was created
+	 */
+	switchProfile (name) {
+		name = name.trim()
+		const active = this.getActiveProfile()
+		const profiles = { ...this.getProfiles() }
+		profiles[active] = this.getCurrentValues()
+
+		const created = !(name in profiles)
+		if (created) {
+			profiles[name] = utils.filterObject(profiles[active], ([k]) => !LOCATION_KEYS.includes(k))
+		}
+
+		const values = profiles[name]
+		for (const key of PROFILE_KEYS) {
+			if (key in values) {
+				atom.config.set(`sync-settings.${key}`, values[key])
+			} else {
+				atom.config.unset(`sync-settings.${key}`)
+			}
+		}
+
+		atom.config.set('sync-settings.hiddenSettings._profiles', profiles)
+		atom.config.set('sync-settings.hiddenSettings._activeProfile', name)
+
+		return created
+	},
+}
@@ -0,0 +1,79 @@
+const utils = require('./utils')
+
+function contentSize (file) {
+	return file && file.content ? Buffer.byteLength(file.content) : 0
+}
+
+module.exports = {
+	/**
+	 * Describe the changes a restore would make without making them
+	 * @param  {object} restoreData Result of `SyncSettings.getRestoreData` with `diffData`
+	 * @return {Promise<object>} Settings to `set` and `unset`, packages to `install`, `update`, `enable`, `disable` and `uninstall`, files to `write` and `delete`
+	 */
+	async createPlan (restoreData) {
+		const { backupData, diffData, deleteFiles } = restoreData
+		const plan = {
+			settings: { set: [], unset: [] },
+			packages: { install: [], update: [], enable: [], disable: [], uninstall: [] },
+			files: { write: [], delete: [] },
+		}
+
+		if (diffData.settings) {
+			plan.settings.set.push(...(diffData.settings.added || []).map(({ scopeSelector, keyPath, value }) => ({ scopeSelector, keyPath, value })))
+			plan.settings.set.push(...(diffData.settings.updated || []).map(({ scopeSelector, keyPath, value, oldValue }) => ({ scopeSelector, keyPath, value, oldValue })))
+			plan.settings.unset.push(...(diffData.settings.deleted || []).map(({ scopeSelector, keyPath, value }) => ({ scopeSelector, keyPath, oldValue: value })))
+		}
+
+		if (backupData.packages) {
+			const installedPackages = await utils.getPackages()
+			plan.packages.install = utils.getMissingPackages(backupData.packages, installedPackages).map(pkg => ({
+				name: pkg.name,
+				version: utils.getInstallVersion(pkg) || 'latest',
+				theme: !!pkg.theme,
+			}))
+			plan.packages.update = (await utils.getPackageUpdates(backupData.packages)).map(pkg => ({
+				name: pkg.name,
+				from: pkg.from,
+				to: pkg.to,
+				theme: !!pkg.theme,
+			}))
+			const states = utils.getPackageStateChanges(backupData.packages)
+			plan.packages.enable = states.enable.map(name => ({ name }))
+			plan.packages.disable = states.disable.map(name => ({ name }))
+			if (atom.config.get('sync-settings.removeObsoletePackages')) {
+				plan.packages.uninstall = utils.getObsoletePackages(backupData.packages, installedPackages).map(pkg => ({
+					name: pkg.name,
+					version: pkg.version,
+					theme: !!pkg.theme,
+				}))
+			}
+		}
+
+		if (diffData.files) {
+			for (const method of ['added', 'updated']) {
+				for (const fileName in diffData.files[method] || {}) {
+					const file = backupData.files[fileName]
+					plan.files.write.push({
+						name: fileName,
+						path: file.path,
+						size: contentSize(file),
+					})
+				}
+			}
+		}
+		for (const file of deleteFiles) {
+			const fileName = Object.keys(restoreData.localData.files).find(name => restoreData.localData.files[name] === file)
+			plan.files.delete.push({
+				name: fileName,
+				path: file.path,
+				size: contentSize(file),
+			})
+		}
+
+		return plan
+	},
+
+	isEmpty (plan) {
+		return Object.values(plan).every(category => Object.values(category).every(items => items.length === 0))
+	},
+}
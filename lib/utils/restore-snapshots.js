@@ -0,0 +1,124 @@
+const path = require('path')
+const fs = require('fs-extra')
+const isBinaryPath = require('is-binary-path')
+const storage = require('./storage')
+const utils = require('./utils')
+
+const SNAPSHOTS_FOLDER = 'restore-snapshots'
+
+function encoding (filePath) {
+	return isBinaryPath(filePath) ? 'base64' : 'utf8'
+}
+
+module.exports = {
+	/**
+	 * List the names of saved snapshots
+	 * @return {Promise<string[]>} Snapshot names, newest first
+	 */
+	async list () {
+		try {
+			const names = await fs.readdir(storage.getPath(SNAPSHOTS_FOLDER))
+			return names.filter(name => name.endsWith('.json')).sort().reverse()
+		} catch (err) {
+			if (err.code !== 'ENOENT') {
+				console.error('Error reading restore snapshots:', err)
+			}
+			return []
+		}
+	},
+
+	/**
+	 * Save the local state that restoring `data` would change
+	 * Only the newest `restoreSnapshots` snapshots are kept.
+	 * @param  {object} data `settings`, `packages` and `files` about to be applied
+	 * @param  {object[]} [deleteFiles] Local files about to be deleted
+	 * @return {Promise<string>} Snapshot name. `null` if snapshots are disabled.
+	 */
+	async create (data, deleteFiles = []) {
+		const limit = atom.config.get('sync-settings.restoreSnapshots')
+		if (!limit) {
+			return null
+		}
+
+		const snapshot = {
+			time: new Date().toISOString(),
+			lastBackupTime: atom.config.get('sync-settings.hiddenSettings._lastBackupTime'),
+			settings: data.settings ? utils.getFilteredSettings() : null,
+			packages: data.packages ? await utils.getPackages() : null,
+			files: [],
+		}
+
+		const filePaths = new Set([
+			...deleteFiles.map(file => file.path),
+			...Object.values(data.files || {}).map(file => file.path),
+		])
+		for (const filePath of filePaths) {
+			let content = null
+			try {
+				content = (await fs.readFile(filePath)).toString(encoding(filePath))
+			} catch (err) {
+				if (err.code !== 'ENOENT') {
+					throw err
+				}
+				// restoring created the file so undoing deletes it
+			}
+			snapshot.files.push({ path: filePath, content })
+		}
+
+		const stamp = snapshot.time.replace(/[:.]/g, '-')
+		let count = 0
+		while (await fs.pathExists(storage.getPath(SNAPSHOTS_FOLDER, `${stamp}-${count}.json`))) {
+			count++
+		}
+		const name = `${stamp}-${count}.json`
+		await storage.write(path.join(SNAPSHOTS_FOLDER, name), snapshot)
+
+		const names = await this.list()
+		for (const oldName of names.slice(limit)) {
+			await this.remove(oldName)
+		}
+
+		return name
+	},
+
+	/**
+	 * Get the newest snapshot
+	 * @return {Promise<object>} `name` and `snapshot`. `null` if there are none.
+	 */
+	async getLatest () {
+		const [name] = await this.list()
+		if (!name) {
+			return null
+		}
+		const snapshot = await storage.read(path.join(SNAPSHOTS_FOLDER, name))
+		if (!snapshot) {
+			return null
+		}
+		return { name, snapshot }
+	},
+
+	/**
+	 * Get what to apply to put back a snapshot
+	 * @param  {object} snapshot Snapshot
+	 * @return {object} `data` with `settings`, `packages` and `files` and `deleteFiles` created by the restore
+	 */
+	getData (snapshot) {
+		const files = {}
+		const deleteFiles = []
+		for (const file of snapshot.files) {
+			if (file.content === null) {
+				deleteFiles.push({ path: file.path })
+			} else {
+				files[file.path] = { path: file.path, content: Buffer.from(file.content, encoding(file.path)) }
+			}
+		}
+		return {
+			data: { settings: snapshot.settings, packages: snapshot.packages, files },
+			deleteFiles,
+		}
+	},
+
+	async remove (name) {
+		await storage.remove(path.join(SNAPSHOTS_FOLDER, name))
+	},
+}
@@ -0,0 +1,244 @@
+const crypto = require('crypto')
+const isBinaryPath = require('is-binary-path')
+const utils = require('./utils')
+
+const PATTERNS = [
+	{ type: 'Private key', regex: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----/ },
+	{ type: 'GitHub token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+	{ type: 'AWS access key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+	{ type: 'Slack token', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+	{ type: 'Password', regex: /\b(?:password|passwd|passphrase|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\b['"]?\s*[:=]\s*['"]([^'"\s]{6,})['"]/i },
+]
+const SECRET_KEY = /(?:password|passwd|passphrase|secret|api[_-]?key|token)$/i
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/=_-]{24,}/g
+const MIN_ENTROPY = 4.2
+const REDACTED = '<redacted by sync-settings>'
+
+/**
+ * Shannon entropy in bits per character
+ * @param  {string} str String to measure
+ * @return {number}
+ */
+function entropy (str) {
+	const counts = {}
+	for (const char of str) {
+		counts[char] = (counts[char] || 0) + 1
+	}
+	return Object.values(counts).reduce((sum, count) => {
+		const p = count / str.length
+		return sum - p * Math.log2(p)
+	}, 0)
+}
+
+function isHighEntropy (str) {
+	// random tokens mix letters and digits, long words and hex hashes do not have enough entropy
+	return /[A-Za-z]/.test(str) && /[0-9]/.test(str) && entropy(str) >= MIN_ENTROPY
+}
+
+function createFinding (type, location, match, line) {
+	const hash = crypto.createHash('sha256').update(match).digest('hex').slice(0, 12)
+	return {
+		id: `${location}:${hash}`,
+		type,
+		location,
+		line,
+		secret: match,
+	}
+}
+
+function redactString (str, secrets) {
+	for (const secret of secrets) {
+		str = str.split(secret).join(REDACTED)
+	}
+	return str
+}
+
+function isRedactedValue (value) {
+	return (JSON.stringify(value) || '').includes(REDACTED)
+}
+
+/**
+ * Put the local values back into redacted settings
+ * @param  {*} value Backed up value
+ * @param  {*} localValue Local value at the same key path
+ * @return {*} `undefined` if the setting is redacted and not set locally
+ */
+function unredactSettings (value, localValue) {
+	if (!isRedactedValue(value)) {
+		return value
+	}
+	if (!utils.isObject(value)) {
+		return localValue
+	}
+	const localObject = utils.isObject(localValue) ? localValue : {}
+	const unredacted = {}
+	for (const key in value) {
+		const item = unredactSettings(value[key], localObject[key])
+		if (typeof item !== 'undefined') {
+			unredacted[key] = item
+		}
+	}
+	return unredacted
+}
+
+/**
+ * Put the local secrets back into a redacted file
+ * @param  {Buffer} content Backed up content
+ * @param  {Buffer} localContent Local content
+ * @return {Buffer} `null` if a secret is not found in the local file
+ */
+function unredactFile (content, localContent) {
+	const localLines = localContent.toString().split('\n')
+	const lines = content.toString().split('\n').map(line => {
+		if (!line.includes(REDACTED)) {
+			return line
+		}
+		const pattern = new RegExp(`^${line.split(REDACTED).map(part => utils.escapeRegExp(part)).join('.+?')}$`)
+		return localLines.find(localLine => pattern.test(localLine)) || null
+	})
+	if (lines.includes(null)) {
+		return null
+	}
+	return Buffer.from(lines.join('\n'))
+}
+
+/**
+ * Find secrets in one line of text
+ * @param  {string} text Line to scan
+ * @return {object[]} `type` and matched `secret` of each finding
+ */
+function scanText (text) {
+	const found = []
+	for (const { type, regex } of PATTERNS) {
+		const match = text.match(regex)
+		if (match) {
+			found.push({ type, secret: match[1] || match[0] })
+		}
+	}
+	if (found.length === 0) {
+		for (const candidate of text.match(HIGH_ENTROPY_CANDIDATE) || []) {
+			if (isHighEntropy(candidate)) {
+				found.push({ type: 'High entropy string', secret: candidate })
+			}
+		}
+	}
+	return found
+}
+
+module.exports = {
+	REDACTED,
+	entropy,
+	scanText,
+
+	/**
+	 * Find tokens, private keys, passwords and high entropy strings in the data to back up
+	 * @param  {object} data `settings` and `files` to back up
+	 * @param  {string[]} [allowlist] IDs of acknowledged findings to ignore
+	 * @return {object[]} Findings with `id`, `type`, `location` (file name or `settings:<key path>`) and `line` (`null` for settings)
+	 */
+	scan (data, allowlist = []) {
+		const findings = []
+
+		if (data.settings) {
+			for (const { scopeSelector, keyPath, value } of utils.settingsToKeyPaths(data.settings)) {
+				const values = Array.isArray(value) ? value : [value]
+				for (const item of values) {
+					if (typeof item !== 'string' || item === '') {
+						continue
+					}
+					const location = `settings:${utils.settingName(scopeSelector, keyPath)}`
+					const found = scanText(item)
+					if (found.length === 0 && SECRET_KEY.test(keyPath)) {
+						found.push({ type: 'Password', secret: item })
+					}
+					for (const { type, secret } of found) {
+						findings.push(createFinding(type, location, secret, null))
+					}
+				}
+			}
+		}
+
+		for (const fileName in data.files || {}) {
+			const file = data.files[fileName]
+			if (!file.content || isBinaryPath(fileName)) {
+				continue
+			}
+			const lines = file.content.toString().split(/\r?\n/)
+			lines.forEach((text, index) => {
+				for (const { type, secret } of scanText(text)) {
+					findings.push(createFinding(type, fileName, secret, index + 1))
+				}
+			})
+		}
+
+		return findings.filter(finding => !allowlist.includes(finding.id))
+	},
+
+	/**
+	 * Replace the secrets of findings with a placeholder
+	 * @param  {object} data `settings` and `files` to back up
+	 * @param  {object[]} findings Findings from `scan`
+	 * @return {object} Copy of the data without the secrets
+	 */
+	redact (data, findings) {
+		const redacted = { ...data }
+		const settingsSecrets = findings.filter(finding => finding.location.startsWith('settings:')).map(finding => finding.secret)
+		if (data.settings && settingsSecrets.length > 0) {
+			redacted.settings = utils.mapStrings(data.settings, str => redactString(str, settingsSecrets))
+		}
+		if (data.files) {
+			redacted.files = { ...data.files }
+			for (const fileName in data.files) {
+				const fileSecrets = findings.filter(finding => finding.location === fileName).map(finding => finding.secret)
+				if (fileSecrets.length > 0) {
+					const file = data.files[fileName]
+					redacted.files[fileName] = { ...file, content: Buffer.from(redactString(file.content.toString(), fileSecrets)) }
+				}
+			}
+		}
+		return redacted
+	},
+
+	/**
+	 * Keep local secrets where the backup was redacted
+	 * Redacted settings keep their local value and redacted files get the secrets of the matching local lines.
+	 * Files without matching local lines are not restored if they exist locally.
+	 * @param  {object} data Backup data with `settings` and `files`
+	 * @param  {object} localData Local data with `settings` and `files`
+	 * @return {object} Copy of the backup data
+	 */
+	unredact (data, localData) {
+		const unredacted = { ...data }
+		if (data.settings) {
+			unredacted.settings = unredactSettings(data.settings, localData.settings)
+		}
+		if (data.files) {
+			unredacted.files = {}
+			for (const fileName in data.files) {
+				const file = data.files[fileName]
+				const localFile = localData.files && localData.files[fileName]
+				if (!file.content || isBinaryPath(fileName) || !file.content.includes(REDACTED)) {
+					unredacted.files[fileName] = file
+				} else if (!localFile) {
+					// nothing to fill in, the placeholders show what is missing
+					unredacted.files[fileName] = file
+				} else {
+					const content = unredactFile(file.content, localFile.content)
+					if (content) {
+						unredacted.files[fileName] = { ...file, content }
+					}
+				}
+			}
+		}
+		return unredacted
+	},
+
+	/**
+	 * Check if any setting or file in the backup was redacted
+	 * @param  {object} data Backup data with `settings` and `files`
+	 * @return {boolean}
+	 */
+	isRedacted (data) {
+		return isRedactedValue(data.settings) || Object.values(data.files || {}).some(file => !!file.content && file.content.includes(REDACTED))
+	},
+}
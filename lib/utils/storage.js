@@ -0,0 +1,32 @@
+const path = require('path')
+const fs = require('fs-extra')
+
+module.exports = {
+	/**
+	 * Get the path of a file in the package's storage folder
+	 * @param  {...string} names Path segments inside the storage folder
+	 * @return {string} Absolute path
+	 */
+	getPath (...names) {
+		return path.join(atom.getStorageFolder().getPath(), 'sync-settings', ...names)
+	},
+
+	async read (name) {
+		try {
+			return await fs.readJson(this.getPath(name))
+		} catch (err) {
+			if (err.code !== 'ENOENT') {
+				console.error(`Error reading ${name}:`, err)
+			}
+			return null
+		}
+	},
+
+	async write (name, data) {
+		await fs.outputJson(this.getPath(name), data)
+	},
+
+	async remove (name) {
+		await fs.remove(this.getPath(name))
+	},
+}
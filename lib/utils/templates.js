@@ -0,0 +1,116 @@
+const os = require('os')
+const isBinaryPath = require('is-binary-path')
+const storage = require('./storage')
+
+const TEMPLATES_FILE = 'templates.json'
+// a tag on its own line does not leave an empty line
+const BLOCK = /\{\{([#^])(platform|hostname)\s+([^}]+?)\s*\}\}\n?([\s\S]*?)\{\{\/\2\}\}\n?/g
+const VARIABLE = /\{\{\s*(platform|hostname|username|env\.([A-Za-z_][A-Za-z0-9_]*))\s*\}\}/g
+
+function getContext () {
+	let username
+	try {
+		username = os.userInfo().username
+	} catch (err) {
+		username = process.env.USER || process.env.USERNAME || ''
+	}
+	return {
+		platform: process.platform,
+		hostname: os.hostname(),
+		username,
+	}
+}
+
+function isTextFile (file) {
+	return file.content && !isBinaryPath(file.path)
+}
+
+module.exports = {
+	/**
+	 * Check if a file uses template tags
+	 * @param  {string} content Content of the file
+	 * @return {boolean}
+	 */
+	isTemplate (content) {
+		return content.search(BLOCK) !== -1 || content.search(VARIABLE) !== -1
+	},
+
+	/**
+	 * Render a template for this machine
+	 * `{{platform}}`, `{{hostname}}`, `{{username}}` and `{{env.NAME}}` are replaced by their values.
+	 * `{{#platform darwin,linux}}...{{/platform}}` and `{{#hostname name}}...{{/hostname}}` are only kept on matching machines
+	 * and `{{^platform win32}}...{{/platform}}` only on other machines.
+	 * @param  {string} source Template
+	 * @return {string} Rendered content
+	 */
+	render (source) {
+		const context = getContext()
+		let rendered = source
+		let previous
+		do {
+			// blocks of one type can contain blocks of the other
+			previous = rendered
+			rendered = rendered.replace(BLOCK, (match, type, name, values, content) => {
+				const matches = values.split(',').map(value => value.trim()).includes(context[name])
+				return (type === '#') === matches ? content : ''
+			})
+		} while (rendered !== previous)
+
+		return rendered.replace(VARIABLE, (match, name, env) => (env ? process.env[env] || '' : context[name]))
+	},
+
+	/**
+	 * Render templates in files about to be restored
+	 * The template of each rendered file is kept so the next backup stores the template instead of the rendered file.
+	 * @param  {object} files Files by name
+	 * @return {Promise<object>} Files with rendered content
+	 */
+	async renderFiles (files) {
+		if (!atom.config.get('sync-settings.renderTemplates')) {
+			return files
+		}
+
+		const templates = await storage.read(TEMPLATES_FILE) || {}
+		const rendered = {}
+		for (const fileName in files) {
+			const file = files[fileName]
+			const source = isTextFile(file) ? file.content.toString() : null
+			if (source && this.isTemplate(source)) {
+				const content = this.render(source)
+				templates[file.path] = { source, rendered: content }
+				rendered[fileName] = { ...file, content: Buffer.from(content) }
+			} else {
+				delete templates[file.path]
+				rendered[fileName] = file
+			}
+		}
+		await storage.write(TEMPLATES_FILE, templates)
+
+		return rendered
+	},
+
+	/**
+	 * Replace rendered files that were not changed since they were restored with their template
+	 * @param  {object} files Local files by name
+	 * @return {Promise<object>} Files with the template as content
+	 */
+	async addTemplates (files) {
+		if (!atom.config.get('sync-settings.renderTemplates')) {
+			return files
+		}
+
+		const templates = await storage.read(TEMPLATES_FILE) || {}
+		const sources = {}
+		for (const fileName in files) {
+			const file = files[fileName]
+			const template = templates[file.path]
+			if (template && isTextFile(file) && file.content.toString() === template.rendered) {
+				sources[fileName] = { ...file, content: Buffer.from(template.source) }
+			} else {
+				sources[fileName] = file
+			}
+		}
+
+		return sources
+	},
+}
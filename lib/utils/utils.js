@@ -1,6 +1,9 @@
 const path = require('path')
 const fs = require('fs-extra')
-const { deleteValueAtKeyPath, setValueAtKeyPath } = require('key-path-helpers')
+const { getValueAtKeyPath, setValueAtKeyPath, splitKeyPath, pushKeyPath } = require('key-path-helpers')
+const diffObject = require('deep-object-diff')
+const minimatch = require('minimatch')
+const semver = require('semver')
 
 const PackageManager = require('./package-manager')
 const notify = require('./notify')
@@ -8,7 +11,15 @@ const notify = require('./notify')
 const REMOVE_KEYS = [
 	'sync-settings.gistId',
 	'sync-settings.personalAccessToken',
+	'sync-settings.encryptionPassphrase',
+	'sync-settings.folderPath',
+	'sync-settings.gitRepoPath',
+	'sync-settings.gitRemote',
+	// finding IDs are derived from the secrets
+	'sync-settings.secretsAllowlist',
 	'sync-settings.hiddenSettings._lastBackupTime',
+	'sync-settings.hiddenSettings._activeProfile',
+	'sync-settings.hiddenSettings._profiles',
 	// keep legacy settings in disallowed settings
 	'sync-settings.gistId',
 	'sync-settings.personalAccessToken',
@@ -17,6 +28,69 @@ const REMOVE_KEYS = [
 	'sync-settings.hiddenSettings._lastBackupHash',
 ]
 
+// kept local when `packages.json` has the state of each package so it is applied after installing packages
+const PACKAGE_STATE_KEYS = [
+	'core.disabledPackages',
+]
+
+function matchKeys (keys, patterns) {
+	if (patterns.length === 0) {
+		// a pattern matching a parent key path matches all of its settings
+		return true
+	}
+	if (patterns[0] === '**') {
+		return matchKeys(keys, patterns.slice(1)) || (keys.length > 0 && matchKeys(keys.slice(1), patterns))
+	}
+	return keys.length > 0 && minimatch(keys[0], patterns[0], { dot: true }) && matchKeys(keys.slice(1), patterns.slice(1))
+}
+
+function getLocalValue (scopeSelector, keyPath) {
+	if (scopeSelector === '*') {
+		return atom.config.get(keyPath)
+	}
+	const scopeSettings = atom.config.scopedSettingsStore.propertiesForSourceAndSelector(atom.config.mainSource, scopeSelector)
+	return getValueAtKeyPath(scopeSettings, keyPath)
+}
+
+function scopeSettingsToKeyPaths (scopeSelector, obj, prefix, getOldValue) {
+	const settings = []
+	for (const prop in obj) {
+		const keyPath = prefix ? `${prefix}.${prop}` : prop
+		let item = obj[prop]
+		if (item == null) {
+			item = getLocalValue(scopeSelector, keyPath)
+		}
+		if (typeof item === 'object' && !Array.isArray(item)) {
+			settings.push(...scopeSettingsToKeyPaths(scopeSelector, item, keyPath, getOldValue))
+		} else {
+			const diffObj = {
+				scopeSelector,
+				keyPath,
+				value: item,
+			}
+			if (getOldValue) {
+				diffObj.oldValue = getLocalValue(scopeSelector, keyPath)
+			}
+			settings.push(diffObj)
+		}
+	}
+	return settings
+}
+
+// backups made before package states were tracked have no `disabled` and keep the local states
+function tracksPackageStates (packages) {
+	return Object.values(packages).some(pkg => pkg && 'disabled' in pkg)
+}
+
+function isNewer (version, installedVersion) {
+	return !!semver.valid(version) && !!semver.valid(installedVersion) && semver.gt(version, installedVersion)
+}
+
+// packages installed from git and frozen packages keep their installed version
+function canUpdate (pkg, installed) {
+	return !!installed && !!pkg.version && !pkg.apmInstallSource && !installed.apmInstallSource && pkg.policy !== 'frozen'
+}
+
 module.exports = {
 	sortObject (obj, sortFn = ([ak, av], [bk, bv]) => ak.localeCompare(bk)) {
 		return Object.entries(obj)
@@ -36,6 +110,63 @@ module.exports = {
 			}, {})
 	},
 
+	escapeRegExp (str) {
+		return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+	},
+
+	/**
+	 * Map every string in a value
+	 * @param  {*} value String, array or object
+	 * @param  {Function} fn Called with each string
+	 * @return {*} Copy of the value with mapped strings
+	 */
+	mapStrings (value, fn) {
+		if (typeof value === 'string') {
+			return fn(value)
+		}
+		if (Array.isArray(value)) {
+			return value.map(item => this.mapStrings(item, fn))
+		}
+		if (value && typeof value === 'object') {
+			const mapped = {}
+			for (const key in value) {
+				mapped[key] = this.mapStrings(value[key], fn)
+			}
+			return mapped
+		}
+		return value
+	},
+
+	isObject (value) {
+		return !!value && typeof value === 'object' && !Array.isArray(value)
+	},
+
+	isEqual (a, b) {
+		if (this.isObject(a) && this.isObject(b)) {
+			return Object.keys(diffObject.diff(a, b)).length === 0
+		}
+		return JSON.stringify(a) === JSON.stringify(b)
+	},
+
+	/**
+	 * Keep only one category of local or backup data
+	 * @param  {object} data Data with `settings`, `packages` and `files`
+	 * @param  {string} [category] `settings`, `packages` or `files`. Keeps all categories if empty.
+	 * @return {object} Data with the other categories set to null
+	 */
+	pickCategory (data, category) {
+		if (!category) {
+			return data
+		}
+
+		return {
+			...data,
+			settings: category === 'settings' ? data.settings : null,
+			packages: category === 'packages' ? data.packages : null,
+			files: category === 'files' ? data.files : null,
+		}
+	},
+
 	async getSnippetsPath () {
 		const jsonPath = path.resolve(atom.getConfigDirPath(), 'snippets.json')
 		if (await fs.pathExists(jsonPath)) {
@@ -80,6 +211,7 @@ module.exports = {
 		const syncPackages = atom.config.get('sync-settings.syncPackages')
 		const syncThemes = atom.config.get('sync-settings.syncThemes')
 		const onlySyncCommunityPackages = atom.config.get('sync-settings.onlySyncCommunityPackages')
+		const policies = this.getPackagePolicies()
 		const packages = {}
 		const pkgMetadata = await this.getAvailablePackageMetadataWithoutDuplicates()
 		for (const pkgName in pkgMetadata) {
@@ -94,6 +226,11 @@ module.exports = {
 					if (apmInstallSource) {
 						data.apmInstallSource = apmInstallSource
 					}
+					if (policies[name] && policies[name] !== 'exact') {
+						data.policy = policies[name]
+					}
+					// an explicit state tells backups with all packages enabled apart from backups without states
+					data.disabled = atom.packages.isPackageDisabled(name)
 					packages[name] = data
 				}
 			}
@@ -142,48 +279,249 @@ module.exports = {
 			settings = { '*': settings }
 		}
 		this.addFilteredSettings(settings)
+		for (const scopeSelector in this.getLocalSettings()) {
+			if (scopeSelector !== '*' && !(scopeSelector in settings)) {
+				atom.config.unset(null, { scopeSelector })
+			}
+		}
 		for (const scopeSelector in settings) {
+			if (scopeSelector !== '*') {
+				// scoped settings are merged into the existing settings of the scope
+				atom.config.unset(null, { scopeSelector })
+			}
 			atom.config.set(null, settings[scopeSelector], { scopeSelector })
 		}
 	},
 
-	addFilteredSettings (settings) {
-		const disallowedSettings = [
+	/**
+	 * Check if a key path or one of its parents matches a pattern
+	 * `*` matches any part of a key and `**` matches any number of keys.
+	 * @param  {string} keyPath Key path of a setting
+	 * @param  {string} pattern Key path pattern (e.g. `linter-*`, `editor.*` or `**.fontSize`)
+	 * @return {boolean}
+	 */
+	matchesKeyPath (keyPath, pattern) {
+		return matchKeys(splitKeyPath(keyPath), splitKeyPath(pattern))
+	},
+
+	/**
+	 * Check a setting against the `allowedSettings` rules
+	 * The last matching rule wins. Rules starting with `!` exclude settings.
+	 * Without including rules every setting not excluded is allowed.
+	 * @param  {string} keyPath Key path of a setting
+	 * @param  {string[]} [rules] Rules to check instead of `allowedSettings`
+	 * @return {boolean}
+	 */
+	isAllowedSetting (keyPath, rules = atom.config.get('sync-settings.allowedSettings') || []) {
+		let allowed = rules.every(rule => rule.startsWith('!'))
+		for (const rule of rules) {
+			const exclude = rule.startsWith('!')
+			if (this.matchesKeyPath(keyPath, exclude ? rule.slice(1) : rule)) {
+				allowed = !exclude
+			}
+		}
+		return allowed
+	},
+
+	/**
+	 * Call a function for each setting
+	 * @param  {object} settings Settings of one scope
+	 * @param  {Function} callback Called with the escaped key path and value of each setting
+	 * @param  {string} [prefix] Key path of `settings`
+	 * @return {undefined}
+	 */
+	forEachSetting (settings, callback, prefix = '') {
+		for (const key in settings) {
+			const keyPath = pushKeyPath(prefix, key)
+			const value = settings[key]
+			if (this.isObject(value) && Object.keys(value).length > 0) {
+				this.forEachSetting(value, callback, keyPath)
+			} else {
+				callback(keyPath, value)
+			}
+		}
+	},
+
+	/**
+	 * Keep only settings matching a filter
+	 * @param  {object} settings Settings of one scope
+	 * @param  {Function} filterFn Called with the key path of each setting
+	 * @return {object} Filtered settings
+	 */
+	filterSettings (settings, filterFn) {
+		const filtered = {}
+		this.forEachSetting(settings, (keyPath, value) => {
+			if (filterFn(keyPath)) {
+				setValueAtKeyPath(filtered, keyPath, value)
+			}
+		})
+		return filtered
+	},
+
+	/**
+	 * Remove settings not allowed by `allowedSettings` from every scope
+	 * @param  {object} settings Settings by scope selector
+	 * @return {object} Allowed settings
+	 */
+	getAllowedSettings (settings) {
+		const rules = atom.config.get('sync-settings.allowedSettings') || []
+		if (rules.length === 0) {
+			return settings
+		}
+
+		const allowed = {}
+		for (const scopeSelector in settings) {
+			const scopeSettings = this.filterSettings(settings[scopeSelector], keyPath => this.isAllowedSetting(keyPath, rules))
+			if (scopeSelector === '*' || Object.keys(scopeSettings).length > 0) {
+				allowed[scopeSelector] = scopeSettings
+			}
+		}
+		return allowed
+	},
+
+	getDisallowedSettings () {
+		return [
 			...REMOVE_KEYS,
+			...(atom.config.get('sync-settings.syncPackages') ? PACKAGE_STATE_KEYS : []),
 			...atom.config.get('sync-settings.disallowedSettings') || [],
 		]
-		for (const disallowedSetting of disallowedSettings) {
-			const value = atom.config.get(disallowedSetting)
-			if (typeof value !== 'undefined') {
-				setValueAtKeyPath(settings['*'], disallowedSetting, value)
+	},
+
+	/**
+	 * Check a setting against key path patterns
+	 * Patterns are key paths that can contain `*` and `**` like `allowedSettings` or regular expressions like `/fontSize$/i`.
+	 * @param  {string} keyPath Key path of a setting
+	 * @param  {string[]} patterns Patterns to check
+	 * @return {boolean}
+	 */
+	matchesSettingPatterns (keyPath, patterns) {
+		return patterns.some(pattern => {
+			const regex = pattern.match(/^\/(.+)\/([a-z]*)$/)
+			if (!regex) {
+				return this.matchesKeyPath(keyPath, pattern)
 			}
-		}
+			try {
+				return new RegExp(regex[1], regex[2]).test(keyPath)
+			} catch (err) {
+				console.error(`Invalid setting pattern ${pattern}:`, err)
+				return false
+			}
+		})
+	},
+
+	/**
+	 * Check a setting against `disallowedSettings`
+	 * @param  {string} keyPath Key path of a setting
+	 * @param  {string[]} [patterns] Patterns to check instead of `disallowedSettings`
+	 * @return {boolean}
+	 */
+	isDisallowedSetting (keyPath, patterns = this.getDisallowedSettings()) {
+		return this.matchesSettingPatterns(keyPath, patterns)
+	},
 
+	/**
+	 * Remove settings matching a filter in place
+	 * Settings with children are removed as a whole if their key path matches.
+	 * @param  {object} settings Settings of one scope
+	 * @param  {Function} filterFn Called with the key path of each setting
+	 * @param  {string} [prefix] Key path of `settings`
+	 * @return {object} `settings`
+	 */
+	removeSettings (settings, filterFn, prefix = '') {
+		for (const key in settings) {
+			const keyPath = pushKeyPath(prefix, key)
+			if (filterFn(keyPath)) {
+				delete settings[key]
+			} else if (this.isObject(settings[key])) {
+				this.removeSettings(settings[key], filterFn, keyPath)
+			}
+		}
 		return settings
 	},
 
-	getFilteredSettings () {
-		// _.clone() doesn't deep clone thus we are using JSON parse trick
-		const settings = JSON.parse(JSON.stringify({
+	/**
+	 * Find settings matching a filter
+	 * @param  {object} settings Settings of one scope
+	 * @param  {Function} filterFn Called with the key path of each setting
+	 * @param  {string} [prefix] Key path of `settings`
+	 * @return {object[]} `keyPath` and `value` of the outermost matching settings
+	 */
+	findSettings (settings, filterFn, prefix = '') {
+		const found = []
+		for (const key in settings) {
+			const keyPath = pushKeyPath(prefix, key)
+			if (filterFn(keyPath)) {
+				found.push({ keyPath, value: settings[key] })
+			} else if (this.isObject(settings[key])) {
+				found.push(...this.findSettings(settings[key], filterFn, keyPath))
+			}
+		}
+		return found
+	},
+
+	getLocalSettings () {
+		return {
 			'*': atom.config.settings,
 			...atom.config.scopedSettingsStore.propertiesForSource(atom.config.mainSource),
-		}))
-		const disallowedSettings = [
-			...REMOVE_KEYS,
-			...atom.config.get('sync-settings.disallowedSettings') || [],
-		]
-		for (const disallowedSetting of disallowedSettings) {
-			deleteValueAtKeyPath(settings['*'], disallowedSetting)
+		}
+	},
+
+	addFilteredSettings (settings) {
+		const disallowedSettings = this.getDisallowedSettings()
+		const isDisallowed = keyPath => this.isDisallowedSetting(keyPath, disallowedSettings)
+		const rules = atom.config.get('sync-settings.allowedSettings') || []
+		const localSettings = this.getLocalSettings()
+
+		for (const scopeSelector of new Set([...Object.keys(settings), ...Object.keys(localSettings)])) {
+			let scopeSettings = this.removeSettings(settings[scopeSelector] || {}, isDisallowed)
+			if (rules.length > 0) {
+				scopeSettings = this.filterSettings(scopeSettings, keyPath => this.isAllowedSetting(keyPath, rules))
+			}
+
+			// keep local settings that are not synced
+			const local = localSettings[scopeSelector] || {}
+			for (const { keyPath, value } of this.findSettings(local, isDisallowed)) {
+				setValueAtKeyPath(scopeSettings, keyPath, JSON.parse(JSON.stringify(value)))
+			}
+			if (rules.length > 0) {
+				this.forEachSetting(local, (keyPath, value) => {
+					if (!this.isAllowedSetting(keyPath, rules) && !isDisallowed(keyPath)) {
+						setValueAtKeyPath(scopeSettings, keyPath, JSON.parse(JSON.stringify(value)))
+					}
+				})
+			}
+			// a scope only kept locally is restored with its local settings
+			if (scopeSelector in settings || (scopeSelector !== '*' && Object.keys(scopeSettings).length > 0)) {
+				settings[scopeSelector] = scopeSettings
+			}
 		}
 
 		return settings
 	},
 
+	/**
+	 * Remove disallowed settings from every scope and keep only allowed settings
+	 * @param  {object} settings Settings by scope selector
+	 * @return {object} Settings to sync
+	 */
+	getSyncedSettings (settings) {
+		const disallowedSettings = this.getDisallowedSettings()
+		for (const scopeSelector in settings) {
+			this.removeSettings(settings[scopeSelector], keyPath => this.isDisallowedSetting(keyPath, disallowedSettings))
+		}
+
+		return this.getAllowedSettings(settings)
+	},
+
+	getFilteredSettings () {
+		// _.clone() doesn't deep clone thus we are using JSON parse trick
+		return this.getSyncedSettings(JSON.parse(JSON.stringify(this.getLocalSettings())))
+	},
+
 	packageManager: new PackageManager(),
 
-	async removeObsoletePackages (packages) {
-		const installedPackages = await this.getPackages()
-		const removePackages = Object.keys(installedPackages)
+	getObsoletePackages (packages, installedPackages) {
+		return Object.keys(installedPackages)
 			.filter(i => !packages[i])
 			.map(name => {
 				return {
@@ -191,6 +529,11 @@ module.exports = {
 					...installedPackages[name],
 				}
 			})
+	},
+
+	async removeObsoletePackages (packages) {
+		const installedPackages = await this.getPackages()
+		const removePackages = this.getObsoletePackages(packages, installedPackages)
 		if (removePackages.length === 0) {
 			console.info('Sync-Settings: no packages to remove')
 			return
@@ -259,9 +602,77 @@ module.exports = {
 		})
 	},
 
-	async installMissingPackages (packages) {
-		const availablePackages = await this.getPackages()
-		const missingPackages = Object.keys(packages)
+	/**
+	 * Get the version policies of packages from `packageVersionPolicies`
+	 * @return {object} Policy by package name
+	 */
+	getPackagePolicies () {
+		const policies = {}
+		for (const entry of atom.config.get('sync-settings.packageVersionPolicies') || []) {
+			const index = entry.indexOf('@', 1)
+			if (index === -1) {
+				console.error(`Sync-Settings: Invalid package version policy ${entry}`)
+				continue
+			}
+			policies[entry.slice(0, index).trim()] = entry.slice(index + 1).trim()
+		}
+		return policies
+	},
+
+	/**
+	 * Check if an installed version is allowed by the policy of a backed up package
+	 * `exact` (the default) only allows the backed up version, a semver range (e.g. `^1.2.0`) any version in the range
+	 * and `latest` or `frozen` any version.
+	 * @param  {string} version Installed version
+	 * @param  {object} pkg Backed up package with `version` and `policy`
+	 * @return {boolean}
+	 */
+	satisfiesPolicy (version, pkg) {
+		const policy = pkg.policy || 'exact'
+		if (policy === 'latest' || policy === 'frozen') {
+			return true
+		}
+		if (policy === 'exact' || !semver.validRange(policy)) {
+			return version === pkg.version
+		}
+		return !!semver.valid(version) && semver.satisfies(version, policy)
+	},
+
+	/**
+	 * Get the version to install of a backed up package
+	 * @param  {object} pkg Backed up package
+	 * @return {string} `null` to install the latest version
+	 */
+	getInstallVersion (pkg) {
+		if (atom.config.get('sync-settings.installLatestVersion') || pkg.apmInstallSource || pkg.policy === 'latest') {
+			return null
+		}
+		return pkg.version
+	},
+
+	/**
+	 * Show local packages with a version allowed by the policy of the backup at the backed up version
+	 * so only versions out of policy are a difference
+	 * @param  {object} localPackages Local packages
+	 * @param  {object} backupPackages Backed up packages
+	 * @return {object} Local packages to compare
+	 */
+	applyPackagePolicies (localPackages, backupPackages) {
+		const packages = {}
+		for (const name in localPackages) {
+			const local = localPackages[name]
+			const backup = backupPackages[name]
+			if (backup && local.version !== backup.version && this.satisfiesPolicy(local.version, backup)) {
+				packages[name] = { ...local, version: backup.version }
+			} else {
+				packages[name] = local
+			}
+		}
+		return packages
+	},
+
+	getMissingPackages (packages, availablePackages) {
+		return Object.keys(packages)
 			.filter(p => !availablePackages[p] || !p.apmInstallSource !== !availablePackages[p].apmInstallSource)
 			.map(name => {
 				return {
@@ -269,6 +680,86 @@ module.exports = {
 					...packages[name],
 				}
 			})
+	},
+
+	/**
+	 * Remove the enabled/disabled state of packages to compare their versions
+	 * @param  {object} packages Packages
+	 * @return {object} Packages without `disabled`
+	 */
+	removePackageStates (packages) {
+		const result = {}
+		for (const name in packages) {
+			const { disabled, ...pkg } = packages[name]
+			result[name] = pkg
+		}
+		return result
+	},
+
+	/**
+	 * Get the packages enabled or disabled in the backup
+	 * @param  {object} localPackages Local packages
+	 * @param  {object} backupPackages Backed up packages
+	 * @return {object} Backed up packages by name that are `enabled` or `disabled` in the backup but not locally
+	 */
+	diffPackageStates (localPackages, backupPackages) {
+		const states = { enabled: {}, disabled: {} }
+		if (!tracksPackageStates(backupPackages)) {
+			return states
+		}
+
+		for (const name in backupPackages) {
+			if (localPackages[name] && !localPackages[name].disabled !== !backupPackages[name].disabled) {
+				states[backupPackages[name].disabled ? 'disabled' : 'enabled'][name] = backupPackages[name]
+			}
+		}
+		return states
+	},
+
+	/**
+	 * Get the packages to enable or disable to match the backup
+	 * @param  {object} packages Backed up packages
+	 * @return {object} Names of packages to `enable` and `disable`
+	 */
+	getPackageStateChanges (packages) {
+		const changes = { enable: [], disable: [] }
+		if (!tracksPackageStates(packages)) {
+			return changes
+		}
+
+		for (const name in packages) {
+			const disabled = !!packages[name].disabled
+			if (disabled !== atom.packages.isPackageDisabled(name)) {
+				changes[disabled ? 'disable' : 'enable'].push(name)
+			}
+		}
+		return changes
+	},
+
+	/**
+	 * Enable and disable packages to match the backup
+	 * This runs after missing packages are installed so newly installed packages can be disabled.
+	 * @param  {object} packages Backed up packages
+	 */
+	applyPackageStates (packages) {
+		const { enable, disable } = this.getPackageStateChanges(packages)
+		if (enable.length === 0 && disable.length === 0) {
+			console.info('Sync-Settings: no packages to enable or disable')
+			return
+		}
+
+		for (const name of enable) {
+			atom.packages.enablePackage(name)
+		}
+		for (const name of disable) {
+			atom.packages.disablePackage(name)
+		}
+		notify.success(`Sync-Settings: finished enabling ${enable.length} and disabling ${disable.length} packages`)
+	},
+
+	async installMissingPackages (packages) {
+		const availablePackages = await this.getPackages()
+		const missingPackages = this.getMissingPackages(packages, availablePackages)
 		if (missingPackages.length === 0) {
 			console.info('Sync-Settings: no packages to install')
 			return
@@ -323,11 +814,9 @@ module.exports = {
 		const name = pkg.name
 		console.info(`Installing ${type} ${name}...`)
 		await new Promise((resolve, reject) => {
-			if (atom.config.get('sync-settings.installLatestVersion')) {
-				pkg.version = null
-			} else if (pkg.apmInstallSource) {
+			pkg.version = this.getInstallVersion(pkg)
+			if (pkg.apmInstallSource && !atom.config.get('sync-settings.installLatestVersion')) {
 				pkg.name = pkg.apmInstallSource.source
-				pkg.version = null
 			}
 			this.packageManager.install(pkg, (err) => {
 				if (err) {
@@ -345,6 +834,139 @@ module.exports = {
 		})
 	},
 
+	/**
+	 * Get the installed packages to upgrade or downgrade to the version of the backup
+	 * Packages out of their version policy get the backed up version if it is newer or `downgradePackages` is checked.
+	 * Only packages with the `latest` policy get the latest version if they are outdated, `installLatestVersion` is for missing packages.
+	 * @param  {object} packages Backed up packages
+	 * @param  {object} availablePackages Installed packages
+	 * @param  {object[]} [outdatedPackages] Result of `PackageManager.getOutdated`
+	 * @return {object[]} Packages with the installed version as `from` and the new version as `to`
+	 */
+	getOutdatedPackages (packages, availablePackages, outdatedPackages = []) {
+		const downgrade = atom.config.get('sync-settings.downgradePackages')
+		const updates = []
+		for (const name in packages) {
+			const pkg = packages[name]
+			const installed = availablePackages[name]
+			if (!canUpdate(pkg, installed)) {
+				continue
+			}
+
+			let version = pkg.policy === 'latest' ? null : pkg.version
+			if (!version) {
+				const outdated = outdatedPackages.find(p => p.name === name)
+				version = outdated ? outdated.latestVersion : null
+			} else if (this.satisfiesPolicy(installed.version, pkg) || (!downgrade && !isNewer(version, installed.version))) {
+				version = null
+			}
+			if (version && version !== installed.version) {
+				updates.push({
+					name,
+					...pkg,
+					from: installed.version,
+					to: version,
+				})
+			}
+		}
+		return updates
+	},
+
+	/**
+	 * Get the installed packages to update on restore
+	 * The outdated packages are only loaded with `apm` if a package should be on the latest version.
+	 * @param  {object} packages Backed up packages
+	 * @return {Promise<object[]>} Result of `getOutdatedPackages`
+	 */
+	async getPackageUpdates (packages) {
+		if (!atom.config.get('sync-settings.updatePackages')) {
+			return []
+		}
+
+		const availablePackages = await this.getPackages()
+		let outdatedPackages = []
+		if (Object.keys(packages).some(name => canUpdate(packages[name], availablePackages[name]) && packages[name].policy === 'latest')) {
+			try {
+				outdatedPackages = await this.packageManager.getOutdated()
+			} catch (err) {
+				console.error('Sync-Settings: failed to load outdated packages', err)
+			}
+		}
+		return this.getOutdatedPackages(packages, availablePackages, outdatedPackages)
+	},
+
+	async updateOutdatedPackages (packages) {
+		const outdatedPackages = await this.getPackageUpdates(packages)
+		if (outdatedPackages.length === 0) {
+			console.info('Sync-Settings: no packages to update')
+			return
+		}
+
+		const total = outdatedPackages.length
+		const notifications = {}
+		const succeeded = []
+		const failed = []
+		const updateNextPackage = async () => {
+			if (outdatedPackages.length > 0) {
+				// start updating next package
+				const pkg = outdatedPackages.shift()
+				const i = total - outdatedPackages.length
+				notifications[pkg.name] = notify.count(`Sync-Settings: updating ${pkg.name}`, i, total)
+
+				try {
+					await this.updatePackage(pkg)
+					succeeded.push(pkg)
+				} catch (err) {
+					failed.push(pkg.name)
+					notify.warning(`Sync-Settings: failed to update ${pkg.name}`)
+				}
+
+				notifications[pkg.name].dismiss()
+				delete notifications[pkg.name]
+
+				return updateNextPackage()
+			} else if (Object.keys(notifications).length === 0) {
+				// last package updated
+				succeeded.sort((a, b) => a.name.localeCompare(b.name))
+				const detail = succeeded.map(pkg => `${pkg.name}: ${pkg.from} → ${pkg.to}`).join('\n')
+				if (failed.length === 0) {
+					notify.success(`Sync-Settings: finished updating ${succeeded.length} packages`, { detail, dismissable: true })
+				} else {
+					failed.sort()
+					const failedStr = failed.join(', ')
+					notify.warning(`Sync-Settings: finished updating packages (${failed.length} failed: ${failedStr})`, { detail, dismissable: true })
+				}
+			}
+		}
+		// start as many package updates in parallel as desired
+		const concurrency = Math.min(outdatedPackages.length, 8)
+		const result = []
+		for (let i = 0; i < concurrency; i++) {
+			result.push(updateNextPackage())
+		}
+		await Promise.all(result)
+	},
+
+	async updatePackage (pkg) {
+		const type = pkg.theme ? 'theme' : 'package'
+		console.info(`Updating ${type} ${pkg.name} from ${pkg.from} to ${pkg.to}...`)
+		await new Promise((resolve, reject) => {
+			this.packageManager.update(pkg, pkg.to, (err) => {
+				if (err) {
+					console.error(
+						`Updating ${type} ${pkg.name} failed`,
+						err.stack ? err.stack : err,
+						err.stderr,
+					)
+					reject(err)
+				} else {
+					console.info(`Updated ${type} ${pkg.name}`)
+					resolve()
+				}
+			})
+		})
+	},
+
 	async fileContent (filePath, nullString) {
 		try {
 			const content = await fs.readFile(filePath)
@@ -355,28 +977,53 @@ module.exports = {
 		}
 	},
 
-	settingsToKeyPaths (obj, prefix = '', getOldValue = false) {
-		const settings = []
-		for (const prop in obj) {
-			const nextPrefix = (prefix ? `${prefix}.${prop}` : (prop === '*' ? '' : prop))
-			let item = obj[prop]
-			if (item == null) {
-				item = atom.config.get(nextPrefix)
+	/**
+	 * Flatten settings of every scope
+	 * @param  {object} settings Settings by scope selector
+	 * @param  {boolean} [getOldValue] Add the local value as `oldValue`
+	 * @return {object[]} `scopeSelector`, `keyPath` and `value` of each setting
+	 */
+	settingsToKeyPaths (settings, getOldValue = false) {
+		const items = []
+		for (const scopeSelector in settings) {
+			let scopeSettings = settings[scopeSelector]
+			if (scopeSettings == null && scopeSelector !== '*') {
+				// the whole scope is deleted
+				scopeSettings = getLocalValue(scopeSelector, '')
 			}
-			if (typeof item === 'object' && !Array.isArray(item)) {
-				settings.push(...this.settingsToKeyPaths(item, nextPrefix, getOldValue))
-			} else {
-				const diffObj = {
-					keyPath: nextPrefix,
-					value: item,
-				}
-				if (getOldValue) {
-					diffObj.oldValue = atom.config.get(nextPrefix)
-				}
-				settings.push(diffObj)
+			items.push(...scopeSettingsToKeyPaths(scopeSelector, scopeSettings, '', getOldValue))
+		}
+		return items
+	},
+
+	/**
+	 * Get a unique name of a setting to identify it across scopes
+	 * @param  {string} scopeSelector Scope selector of the setting (`*` for global settings)
+	 * @param  {string} keyPath Key path of the setting
+	 * @return {string} The key path for global settings (e.g. `editor.tabLength`) or the scope selector and key path (e.g. `.source.python editor.tabLength`)
+	 */
+	settingName (scopeSelector, keyPath) {
+		return scopeSelector === '*' ? keyPath : `${scopeSelector} ${keyPath}`
+	},
+
+	/**
+	 * Group flattened settings by scope with global settings first
+	 * @param  {object[]} items Settings with `scopeSelector`
+	 * @return {object} Settings by scope selector
+	 */
+	groupByScope (items) {
+		const scopes = { '*': [] }
+		for (const item of items) {
+			const scopeSelector = item.scopeSelector || '*'
+			if (!(scopeSelector in scopes)) {
+				scopes[scopeSelector] = []
 			}
+			scopes[scopeSelector].push(item)
 		}
-		return settings
+		if (scopes['*'].length === 0) {
+			delete scopes['*']
+		}
+		return scopes
 	},
 
 	addDiffFile (diffData, method, fileName, fileObj) {
@@ -5,6 +5,30 @@ const etch = require('etch')
 const isBinaryPath = require('is-binary-path')
 const notify = require('../utils/notify')
 const config = require('../config')
+const merge = require('../utils/merge')
+const utils = require('../utils/utils')
+
+const CHOICES = [
+	['local', 'Take Local'],
+	['backup', 'Take Backup'],
+	['skip', 'Skip'],
+]
+
+function emptySelection () {
+	return { settings: {}, packages: {}, files: {} }
+}
+
+function lookup (map, name) {
+	if (!map) {
+		return
+	}
+	if (name in map) {
+		return map[name]
+	}
+	// diffs of arrays and objects point inside a setting
+	const key = Object.keys(map).find(k => name.startsWith(`${k}.`))
+	return key ? map[key] : undefined
+}
 
 module.exports = class DiffView {
 	constructor (syncSettings) {
@@ -12,6 +36,8 @@ module.exports = class DiffView {
 		this.props = {
 			diff: null,
 			error: null,
+			version: null,
+			selection: emptySelection(),
 		}
 
 		etch.initialize(this)
@@ -30,7 +56,7 @@ module.exports = class DiffView {
 	}
 
 	async refresh () {
-		this.update({ diff: null, error: null })
+		this.update({ diff: null, error: null, selection: emptySelection() })
 		const signal = notify.signal('Sync-Settings: Diffing backup...')
 		try {
 			const backupLocation = await this.syncSettings.getBackupLocation()
@@ -38,7 +64,7 @@ module.exports = class DiffView {
 				this.update({ diff: null, error: 'Error retrieving your backup' })
 				return
 			}
-			const data = await backupLocation.get()
+			const data = await backupLocation.get({ version: this.props.version })
 			if (!data) {
 				this.update({ diff: null, error: 'Error retrieving your backup' })
 				return
@@ -56,13 +82,14 @@ module.exports = class DiffView {
 				return
 			}
 
-			const diffData = await this.syncSettings.getDiffData(localData, backupData)
+			const snapshot = this.props.version ? null : await merge.getSnapshot()
+			const diffData = await this.syncSettings.getDiffData(localData, backupData, snapshot)
 			if (!diffData) {
 				this.update({ diff: null, error: 'Error diffing backup' })
 				return
 			}
 
-			diffData.localTime = config.getLastBackupTime(data, !diffData.settings && !diffData.packages && !diffData.files)
+			diffData.localTime = config.getLastBackupTime(data, !this.props.version && !diffData.settings && !diffData.packages && !diffData.files)
 			diffData.backupTime = data.time
 
 			this.update({ diff: diffData, error: null })
@@ -76,7 +103,7 @@ module.exports = class DiffView {
 
 	async restore () {
 		this.update({ data: null, error: null })
-		await this.syncSettings.restore()
+		await this.syncSettings.restore(false, { version: this.props.version })
 		this.refresh()
 	}
 
@@ -86,10 +113,38 @@ module.exports = class DiffView {
 		this.refresh()
 	}
 
+	async merge () {
+		this.update({ data: null, error: null })
+		await this.syncSettings.merge()
+		this.refresh()
+	}
+
+	async applySelection () {
+		const selection = this.props.selection
+		this.update({ diff: null, error: null, selection: emptySelection() })
+		await this.syncSettings.applySelection(selection)
+		this.refresh()
+	}
+
 	async viewBackup () {
 		await this.syncSettings.viewBackup()
 	}
 
+	select (e) {
+		const { type, name, choice } = e.currentTarget.dataset
+		const selection = { ...this.props.selection, [type]: { ...this.props.selection[type] } }
+		if (choice === 'skip') {
+			delete selection[type][name]
+		} else {
+			selection[type][name] = choice
+		}
+		this.update({ selection })
+	}
+
+	hasSelection () {
+		return Object.values(this.props.selection).some(items => Object.keys(items).length > 0)
+	}
+
 	render () {
 		const diff = this.props.diff
 		let error = this.props.error
@@ -124,6 +179,8 @@ module.exports = class DiffView {
 				<button className='btn btn-success icon icon-sync refresh' disabled={loading} on={{ click: this.refresh }}> Refresh</button>
 				<button className='btn btn-info icon icon-cloud-download restore' disabled={loading} on={{ click: this.restore }}> Restore</button>
 				<button className='btn btn-error icon icon-cloud-upload backup' disabled={loading} on={{ click: this.backup }}> Backup</button>
+				<button className='btn btn-warning icon icon-git-merge merge' disabled={loading || !!this.props.version} on={{ click: this.merge }}> Merge</button>
+				<button className='btn btn-primary icon icon-check apply-selection' disabled={loading || !!this.props.version || !this.hasSelection()} on={{ click: this.applySelection }}> Apply selection</button>
 				<button className='btn btn-warning icon icon-link-external view-backup' on={{ click: this.viewBackup }}> View Backup</button>
 			</div>
 		)
@@ -158,41 +215,117 @@ module.exports = class DiffView {
 					<div className='local'>Local - Last Local Sync: {diff.localTime ? new Date(diff.localTime).toLocaleString() : 'Never'}</div>
 					<div className='backup'>Backup - Last Remote Backup Change: {new Date(diff.backupTime).toLocaleString()}</div>
 				</pre>
-				{diff.settings ? this.renderSettings(diff.settings) : null}
-				{diff.packages ? this.renderPackages(diff.packages) : null}
-				{diff.files ? this.renderFiles(diff.files) : null}
+				{diff.settings ? this.renderSettings(diff.settings, diff.origins, diff.changes) : null}
+				{diff.packages ? this.renderPackages(diff.packages, diff.origins, diff.changes) : null}
+				{diff.files ? this.renderFiles(diff.files, diff.changes) : null}
+			</div>
+		)
+	}
+
+	renderLayer (origins, type, name) {
+		const source = origins && lookup(origins[type], name)
+		if (!source) {
+			return null
+		}
+
+		return <span className='diff-view-layer'>{ ` (base: ${source})` }</span>
+	}
+
+	renderChoice (type, name) {
+		if (this.props.version) {
+			// only the latest backup can be updated
+			return null
+		}
+
+		const selected = this.props.selection[type][name] || 'skip'
+		return (
+			<div className='btn-group btn-group-xs diff-view-choice'>
+				{CHOICES.map(([choice, text]) => (
+					<button className={`btn ${choice}${selected === choice ? ' selected' : ''}`} dataset={{ type, name, choice }} on={{ click: this.select }}>{ text }</button>
+				))}
 			</div>
 		)
 	}
 
-	renderSettings (settings) {
+	renderChange (changes, type, name) {
+		const status = changes && lookup(changes[type], name)
+		if (!status) {
+			return null
+		}
+
+		const labels = {
+			local: 'changed locally',
+			backup: 'changed in backup',
+			merged: 'changed on both sides, can be merged',
+			conflict: 'conflict',
+		}
+		return <span className={`diff-view-change ${status}`}>{ ` [${labels[status]}]` }</span>
+	}
+
+	renderSettings (settings, origins, changes) {
 		const rendered = []
 		if (settings.deleted) {
-			rendered.push(...settings.deleted.map(s => (
-				<div className='local'>{ `${s.keyPath}: ${JSON.stringify(s.value)}` }</div>
-			)))
+			rendered.push(...settings.deleted.map(s => this.renderSetting(s, name => (
+				<div>
+					<div className='local'>{ `${s.keyPath}: ${JSON.stringify(s.value)}` }{ this.renderChange(changes, 'settings', name) }</div>
+					{ this.renderChoice('settings', name) }
+				</div>
+			))))
 		}
 		if (settings.updated) {
-			rendered.push(...settings.updated.map(s => (
+			rendered.push(...settings.updated.map(s => this.renderSetting(s, name => (
 				<div>
-					<div className='local'>{ `${s.keyPath}: ${JSON.stringify(s.oldValue)}` }</div>
-					<div className='backup'>{ `${s.keyPath}: ${JSON.stringify(s.value)}` }</div>
+					<div className='local'>{ `${s.keyPath}: ${JSON.stringify(s.oldValue)}` }{ this.renderChange(changes, 'settings', name) }</div>
+					<div className='backup'>{ `${s.keyPath}: ${JSON.stringify(s.value)}` }{ this.renderLayer(origins, 'settings', name) }</div>
+					{ this.renderChoice('settings', name) }
 				</div>
-			)))
+			))))
 		}
 		if (settings.added) {
-			rendered.push(...settings.added.map(s => (
-				<div className='backup'>{ `${s.keyPath}: ${s.value}` }</div>
-			)))
+			rendered.push(...settings.added.map(s => this.renderSetting(s, name => (
+				<div>
+					<div className='backup'>{ `${s.keyPath}: ${s.value}` }{ this.renderLayer(origins, 'settings', name) }{ this.renderChange(changes, 'settings', name) }</div>
+					{ this.renderChoice('settings', name) }
+				</div>
+			))))
 		}
+		const scopes = utils.groupByScope(rendered)
 
 		return (
 			<div className='diff-view-settings'>
 				<h2>Settings</h2>
+				{Object.keys(scopes).map(scopeSelector => (
+					<div className='diff-view-scope'>
+						<h3>{ scopeSelector === '*' ? 'Global' : scopeSelector }</h3>
+						<pre className='diff-view-section'>
+							<ul>
+								{scopes[scopeSelector].map(({ element }) => (
+									<li>{ element }</li>
+								))}
+							</ul>
+						</pre>
+					</div>
+				))}
+			</div>
+		)
+	}
+
+	renderSetting (setting, render) {
+		const scopeSelector = setting.scopeSelector || '*'
+		return {
+			scopeSelector,
+			element: render(utils.settingName(scopeSelector, setting.keyPath)),
+		}
+	}
+
+	renderPackageStates (states) {
+		return (
+			<div className='diff-view-package-states'>
+				<h3>Enabled and Disabled</h3>
 				<pre className='diff-view-section'>
 					<ul>
-						{rendered.map(setting => (
-							<li>{ setting }</li>
+						{states.map(pkg => (
+							<li>{ pkg }</li>
 						))}
 					</ul>
 				</pre>
@@ -200,27 +333,51 @@ module.exports = class DiffView {
 		)
 	}
 
-	renderPackages (packages) {
+	renderPackage (name, pkg) {
+		return pkg.policy ? `${name}@${pkg.version} (${pkg.policy})` : `${name}@${pkg.version}`
+	}
+
+	renderPackages (packages, origins, changes) {
 		const rendered = []
 		if (packages.deleted) {
 			rendered.push(...Object.keys(packages.deleted).map(pkg => (
-				<div className='local'>{ `${pkg}@${packages.deleted[pkg].version}` }</div>
+				<div>
+					<div className='local'>{ this.renderPackage(pkg, packages.deleted[pkg]) }{ this.renderChange(changes, 'packages', pkg) }</div>
+					{ this.renderChoice('packages', pkg) }
+				</div>
 			)))
 		}
 		if (packages.updated) {
 			rendered.push(...Object.keys(packages.updated).map(pkg => (
 				<div>
-					<div className='local'>{ `${pkg}@${packages.updated[pkg].local.version}` }</div>
-					<div className='backup'>{ `${pkg}@${packages.updated[pkg].backup.version}` }</div>
+					<div className='local'>{ this.renderPackage(pkg, packages.updated[pkg].local) }{ this.renderChange(changes, 'packages', pkg) }</div>
+					<div className='backup'>{ this.renderPackage(pkg, packages.updated[pkg].backup) }{ this.renderLayer(origins, 'packages', pkg) }</div>
+					{ this.renderChoice('packages', pkg) }
 				</div>
 			)))
 		}
 		if (packages.added) {
 			rendered.push(...Object.keys(packages.added).map(pkg => (
-				<div className='backup'>{ `${pkg}@${packages.added[pkg].version}` }</div>
+				<div>
+					<div className='backup'>{ this.renderPackage(pkg, packages.added[pkg]) }{ this.renderLayer(origins, 'packages', pkg) }{ this.renderChange(changes, 'packages', pkg) }</div>
+					{ this.renderChoice('packages', pkg) }
+				</div>
 			)))
 		}
 
+		const states = []
+		for (const [state, localState] of [['enabled', 'disabled'], ['disabled', 'enabled']]) {
+			if (packages[state]) {
+				states.push(...Object.keys(packages[state]).map(pkg => (
+					<div>
+						<div className='local'>{ `${pkg} ${localState}` }{ this.renderChange(changes, 'packages', pkg) }</div>
+						<div className='backup'>{ `${pkg} ${state}` }{ this.renderLayer(origins, 'packages', pkg) }</div>
+						{ this.renderChoice('packages', pkg) }
+					</div>
+				)))
+			}
+		}
+
 		return (
 			<div className='diff-view-packages'>
 				<h2>Packages</h2>
@@ -231,16 +388,18 @@ module.exports = class DiffView {
 						))}
 					</ul>
 				</pre>
+				{ states.length > 0 ? this.renderPackageStates(states) : null }
 			</div>
 		)
 	}
 
-	renderFiles (files) {
+	renderFiles (files, changes) {
 		const rendered = []
 		if (files.deleted) {
 			rendered.push(...Object.keys(files.deleted).map(name => (
 				<div>
-					<h4 className='local'>{ name }</h4>
+					<h4 className='local'>{ name }{ this.renderChange(changes, 'files', name) }</h4>
+					{ this.renderChoice('files', name) }
 					<pre className='diff-view-file-content'>{ files.deleted[name].content }</pre>
 				</div>
 			)))
@@ -259,7 +418,8 @@ module.exports = class DiffView {
 				}
 				return (
 					<div>
-						<h4 className='changed'>{ name }</h4>
+						<h4 className='changed'>{ name }{ this.renderChange(changes, 'files', name) }</h4>
+						{ this.renderChoice('files', name) }
 						<pre className='diff-view-file-content'>
 							{lines.map(line => (
 								<div className={isBinary ? 'info' : classes[line.charAt(0)] || ''}>{line.replace(/^[-+ ]/, '')}</div>
@@ -272,7 +432,8 @@ module.exports = class DiffView {
 		if (files.added) {
 			rendered.push(...Object.keys(files.added).map(name => (
 				<div>
-					<h4 className='backup'>{ name }</h4>
+					<h4 className='backup'>{ name }{ this.renderChange(changes, 'files', name) }</h4>
+					{ this.renderChoice('files', name) }
 					<pre className='diff-view-file-content'>{ files.added[name].content }</pre>
 				</div>
 			)))
@@ -291,6 +452,9 @@ module.exports = class DiffView {
 	}
 
 	getTitle () {
+		if (this.props.version) {
+			return `Sync Settings: Diff (${this.props.version.substring(0, 7)})`
+		}
 		return 'Sync Settings: Diff'
 	}
 
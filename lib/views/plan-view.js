@@ -0,0 +1,160 @@
+/** @babel */
+/** @jsx etch.dom */
+
+const etch = require('etch')
+const restorePlan = require('../utils/restore-plan')
+const utils = require('../utils/utils')
+
+function formatSize (size) {
+	if (size < 1024) {
+		return `${size} B`
+	}
+	return `${(size / 1024).toFixed(1)} KB`
+}
+
+module.exports = class PlanView {
+	constructor (syncSettings) {
+		this.syncSettings = syncSettings
+		this.props = {
+			plan: null,
+			restoreData: null,
+			options: {},
+			confirmed: false,
+		}
+
+		etch.initialize(this)
+	}
+
+	async update (props) {
+		if (props) {
+			this.props = { ...this.props, ...props }
+		}
+
+		await etch.update(this)
+	}
+
+	async destroy () {
+		await etch.destroy(this)
+	}
+
+	async confirm () {
+		const { restoreData, options } = this.props
+		this.update({ confirmed: true })
+		await this.syncSettings.confirmRestore(restoreData, options)
+		this.close()
+	}
+
+	close () {
+		const pane = atom.workspace.paneForItem(this)
+		if (pane) {
+			pane.destroyItem(this)
+		}
+	}
+
+	render () {
+		const plan = this.props.plan
+		const empty = !plan || restorePlan.isEmpty(plan)
+
+		return (
+			<div className='sync-settings-plan-view'>
+				<h1 className='plan-view-title'>{ this.getTitle() }</h1>
+				<div className='plan-view-buttons btn-group'>
+					<button className='btn btn-info icon icon-cloud-download confirm' disabled={!plan || this.props.confirmed} on={{ click: this.confirm }}> Confirm Restore</button>
+					<button className='btn icon icon-x cancel' on={{ click: this.close }}> Cancel</button>
+				</div>
+				{ plan && empty ? <h2 className='plan-view-none'>Restoring will not change anything.</h2> : null }
+				{ plan && !empty ? this.renderPlan(plan) : null }
+			</div>
+		)
+	}
+
+	renderPlan (plan) {
+		return (
+			<div className='plan-view-plan'>
+				{ this.renderSettingsSection('Settings to set', 'settings-set', 'backup', plan.settings.set, s => (
+					'oldValue' in s
+						? `${s.keyPath}: ${JSON.stringify(s.oldValue)} → ${JSON.stringify(s.value)}`
+						: `${s.keyPath}: ${JSON.stringify(s.value)}`
+				)) }
+				{ this.renderSettingsSection('Settings to unset', 'settings-unset', 'local', plan.settings.unset, s => (
+					`${s.keyPath}: ${JSON.stringify(s.oldValue)}`
+				)) }
+				{ this.renderSection('Packages to install', 'packages-install', 'backup', plan.packages.install.map(pkg => (
+					`${pkg.name}@${pkg.version}${pkg.theme ? ' (theme)' : ''}`
+				))) }
+				{ this.renderSection('Packages to update', 'packages-update', 'backup', plan.packages.update.map(pkg => (
+					`${pkg.name}@${pkg.from} → ${pkg.to}${pkg.theme ? ' (theme)' : ''}`
+				))) }
+				{ this.renderSection('Packages to enable', 'packages-enable', 'backup', plan.packages.enable.map(pkg => pkg.name)) }
+				{ this.renderSection('Packages to disable', 'packages-disable', 'backup', plan.packages.disable.map(pkg => pkg.name)) }
+				{ this.renderSection('Packages to uninstall', 'packages-uninstall', 'local', plan.packages.uninstall.map(pkg => (
+					`${pkg.name}@${pkg.version}${pkg.theme ? ' (theme)' : ''}`
+				))) }
+				{ this.renderSection('Files to write', 'files-write', 'backup', plan.files.write.map(file => (
+					`${file.path} (${formatSize(file.size)})`
+				))) }
+				{ this.renderSection('Files to delete', 'files-delete', 'local', plan.files.delete.map(file => (
+					`${file.path} (${formatSize(file.size)})`
+				))) }
+			</div>
+		)
+	}
+
+	renderSection (title, name, className, items) {
+		if (items.length === 0) {
+			return null
+		}
+
+		return (
+			<div className={`plan-view-${name}`}>
+				<h2>{ title } ({ items.length })</h2>
+				<pre className='plan-view-section'>
+					<ul>
+						{items.map(item => (
+							<li className={className}>{ item }</li>
+						))}
+					</ul>
+				</pre>
+			</div>
+		)
+	}
+
+	renderSettingsSection (title, name, className, settings, format) {
+		if (settings.length === 0) {
+			return null
+		}
+
+		const scopes = utils.groupByScope(settings)
+		return (
+			<div className={`plan-view-${name}`}>
+				<h2>{ title } ({ settings.length })</h2>
+				{Object.keys(scopes).map(scopeSelector => (
+					<div className='plan-view-scope'>
+						<h3>{ scopeSelector === '*' ? 'Global' : scopeSelector }</h3>
+						<pre className='plan-view-section'>
+							<ul>
+								{scopes[scopeSelector].map(setting => (
+									<li className={className}>{ format(setting) }</li>
+								))}
+							</ul>
+						</pre>
+					</div>
+				))}
+			</div>
+		)
+	}
+
+	getTitle () {
+		if (this.props.options.only) {
+			return `Sync Settings: Restore Plan (${this.props.options.only})`
+		}
+		if (this.props.options.version) {
+			return `Sync Settings: Restore Plan (${this.props.options.version.substring(0, 7)})`
+		}
+		return 'Sync Settings: Restore Plan'
+	}
+
+	getIconName () {
+		return 'checklist'
+	}
+}
@@ -0,0 +1,141 @@
+/** @babel */
+/** @jsx etch.dom */
+
+const etch = require('etch')
+const notify = require('../utils/notify')
+
+module.exports = class RevisionsView {
+	constructor (syncSettings) {
+		this.syncSettings = syncSettings
+		this.props = {
+			revisions: null,
+			error: null,
+		}
+
+		etch.initialize(this)
+	}
+
+	async update (props) {
+		if (props) {
+			this.props = { ...this.props, ...props }
+		}
+
+		await etch.update(this)
+	}
+
+	async destroy () {
+		await etch.destroy(this)
+	}
+
+	async refresh () {
+		this.update({ revisions: null, error: null })
+		const signal = notify.signal('Sync-Settings: Getting backup history...')
+		try {
+			const backupLocation = await this.syncSettings.getBackupLocation()
+			if (!backupLocation) {
+				this.update({ revisions: null, error: 'Error retrieving your backup' })
+				return
+			}
+			const data = await backupLocation.get()
+			if (!data) {
+				this.update({ revisions: null, error: 'Error retrieving your backup' })
+				return
+			}
+
+			if (!Array.isArray(data.history) || data.history.length === 0) {
+				this.update({ revisions: null, error: 'Your backup location does not keep a history of your backups.' })
+				return
+			}
+
+			this.update({ revisions: data.history, error: null })
+		} catch (err) {
+			const message = err.message.replace(/^Error:? /, '')
+			this.update({ revisions: null, error: `Error: ${message}` })
+		} finally {
+			signal.dismiss()
+		}
+	}
+
+	async restoreRevision (e) {
+		const version = e.currentTarget.dataset.version
+		await this.syncSettings.restore(false, { version })
+	}
+
+	async diffRevision (e) {
+		const version = e.currentTarget.dataset.version
+		await this.syncSettings.viewDiff(null, version)
+	}
+
+	render () {
+		const revisions = this.props.revisions
+		const error = this.props.error
+		const loading = !error && !revisions
+
+		return (
+			<div className='sync-settings-revisions-view'>
+				<h1 className='revisions-view-title'>{ this.getTitle() }</h1>
+				<div className='revisions-view-buttons btn-group'>
+					<button className='btn btn-success icon icon-sync refresh' disabled={loading} on={{ click: this.refresh }}> Refresh</button>
+				</div>
+				{ error ? this.renderError(error) : null }
+				{ loading ? this.renderLoading() : null }
+				{ revisions ? this.renderRevisions(revisions) : null }
+			</div>
+		)
+	}
+
+	renderLoading () {
+		return <h2 className='revisions-view-loading'>Loading Revisions...</h2>
+	}
+
+	renderError (error) {
+		return (
+			<div className='revisions-view-error'>
+				<h2>Error</h2>
+				<pre className='revisions-view-section'>{ error }</pre>
+			</div>
+		)
+	}
+
+	renderRevisions (revisions) {
+		return (
+			<ul className='revisions-view-revisions'>
+				{revisions.map(revision => (
+					<li className='revisions-view-revision'>
+						<div className='btn-group'>
+							<button className='btn btn-info icon icon-diff diff' dataset={{ version: revision.version }} on={{ click: this.diffRevision }}> Diff</button>
+							<button className='btn btn-warning icon icon-history restore' dataset={{ version: revision.version }} on={{ click: this.restoreRevision }}> Restore</button>
+						</div>
+						<span className='revisions-view-time'>{ new Date(revision.committed_at).toLocaleString() }</span>
+						<code className='revisions-view-version'>{ revision.version.substring(0, 7) }</code>
+						{ this.renderChanges(revision) }
+					</li>
+				))}
+			</ul>
+		)
+	}
+
+	renderChanges (revision) {
+		if (Array.isArray(revision.files)) {
+			return <div className='revisions-view-files'>{ revision.files.join(', ') }</div>
+		}
+
+		if (revision.change_status) {
+			return (
+				<div className='revisions-view-files'>
+					<span className='backup'>+{ revision.change_status.additions }</span> <span className='local'>-{ revision.change_status.deletions }</span>
+				</div>
+			)
+		}
+
+		return null
+	}
+
+	getTitle () {
+		return 'Sync Settings: Revisions'
+	}
+
+	getIconName () {
+		return 'history'
+	}
+}
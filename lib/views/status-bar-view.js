@@ -0,0 +1,68 @@
+/** @babel */
+/** @jsx etch.dom */
+
+const etch = require('etch')
+const { CompositeDisposable } = require('atom')
+const profiles = require('../utils/profiles')
+const backupQueue = require('../utils/backup-queue')
+
+module.exports = class StatusBarView {
+	constructor () {
+		this.props = this.getProps()
+
+		etch.initialize(this)
+
+		this.disposables = new CompositeDisposable(
+			atom.config.onDidChange('sync-settings.hiddenSettings', () => this.update()),
+			backupQueue.onDidChange(() => this.update()),
+			atom.tooltips.add(this.refs.profile, { title: () => this.getTooltip() }),
+			atom.tooltips.add(this.refs.pending, { title: 'Sync-Settings: Backup pending upload. Click to retry.' }),
+		)
+	}
+
+	getProps () {
+		return {
+			profile: profiles.hasProfiles() ? profiles.getActiveProfile() : null,
+			pending: backupQueue.isPending(),
+		}
+	}
+
+	async update (props) {
+		this.props = { ...this.getProps(), ...props }
+
+		await etch.update(this)
+	}
+
+	async destroy () {
+		this.disposables.dispose()
+		await etch.destroy(this)
+	}
+
+	onClick () {
+		atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:switch-profile')
+	}
+
+	onClickPending () {
+		atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:flush-backup-queue')
+	}
+
+	getTooltip () {
+		return `Sync-Settings Profile: ${this.props.profile}`
+	}
+
+	render () {
+		const empty = !this.props.profile && !this.props.pending
+		return (
+			<div className={`sync-settings-status inline-block${empty ? ' empty' : ''}`}>
+				<a ref='profile' className={`sync-settings-status-profile${this.props.profile ? '' : ' empty'}`} on={{ click: this.onClick }}>
+					<span className='icon icon-sync' />
+					<span className='sync-settings-status-profile-name'>{ this.props.profile }</span>
+				</a>
+				<a ref='pending' className={`sync-settings-status-pending${this.props.pending ? '' : ' empty'}`} on={{ click: this.onClickPending }}>
+					<span className='icon icon-cloud-upload' />
+					<span>pending</span>
+				</a>
+			</div>
+		)
+	}
+}
@@ -0,0 +1,126 @@
+const BackupPoller = require('../lib/utils/backup-poller')
+
+describe('BackupPoller', () => {
+	let poller, syncSettings, backupLocation
+	beforeEach(() => {
+		atom.config.set('sync-settings.autoCheckInterval', 5)
+		atom.config.set('sync-settings.autoCheckForUpdatedBackup', 'alert')
+		atom.config.set('sync-settings.hiddenSettings._lastBackupTime', '2020-01-01T00:00:00Z')
+		backupLocation = {
+			get: jasmine.createSpy('get').and.returnValue(Promise.resolve({ files: {}, time: '2020-01-02T00:00:00Z' })),
+		}
+		syncSettings = {
+			getBackupLocation: async () => backupLocation,
+			checkBackup: jasmine.createSpy('checkBackup'),
+			restore: jasmine.createSpy('restore'),
+		}
+		poller = new BackupPoller(syncSettings)
+	})
+
+	afterEach(() => {
+		poller.dispose()
+	})
+
+	describe('schedule', () => {
+		beforeEach(() => {
+			jasmine.clock().install()
+			spyOn(poller, 'poll')
+		})
+
+		afterEach(() => {
+			jasmine.clock().uninstall()
+		})
+
+		it('polls after the interval', () => {
+			poller.start()
+			jasmine.clock().tick(5 * 60 * 1000 - 1)
+
+			expect(poller.poll).not.toHaveBeenCalled()
+
+			jasmine.clock().tick(1)
+
+			expect(poller.poll).toHaveBeenCalled()
+		})
+
+		it('stops polling', () => {
+			poller.start()
+			poller.stop()
+			jasmine.clock().tick(5 * 60 * 1000)
+
+			expect(poller.poll).not.toHaveBeenCalled()
+		})
+	})
+
+	describe('poll', () => {
+		beforeEach(() => {
+			spyOn(poller, 'schedule')
+			poller.start()
+		})
+
+		it('logs errors and keeps polling', async () => {
+			backupLocation.get.and.returnValue(Promise.reject(new Error('failed')))
+			spyOn(console, 'error')
+			await poller.poll()
+
+			expect(console.error).toHaveBeenCalled()
+			expect(poller.schedule).toHaveBeenCalled()
+		})
+
+		it('pauses when unfocused or offline', async () => {
+			spyOn(poller, 'isPaused').and.returnValue(true)
+			await poller.poll()
+
+			expect(backupLocation.get).not.toHaveBeenCalled()
+			expect(poller.missed).toBe(true)
+		})
+
+		it('checks when resumed after a missed poll', async () => {
+			spyOn(poller, 'isPaused').and.returnValue(true)
+			await poller.poll()
+			poller.isPaused.and.returnValue(false)
+			spyOn(poller, 'check')
+			poller.resume()
+
+			expect(poller.check).toHaveBeenCalled()
+			expect(poller.missed).toBe(false)
+		})
+	})
+
+	describe('check', () => {
+		it('alerts about a newer backup once', async () => {
+			await poller.check()
+			await poller.check()
+
+			expect(syncSettings.checkBackup).toHaveBeenCalledTimes(1)
+			expect(syncSettings.checkBackup).toHaveBeenCalledWith(true)
+		})
+
+		it('restores a newer backup', async () => {
+			atom.config.set('sync-settings.autoCheckForUpdatedBackup', 'restore')
+			await poller.check()
+
+			expect(syncSettings.restore).toHaveBeenCalledWith(true)
+		})
+
+		it('opens the diff of a newer backup', async () => {
+			atom.config.set('sync-settings.autoCheckForUpdatedBackup', 'diff')
+			await poller.check()
+
+			expect(syncSettings.checkBackup).toHaveBeenCalledWith(true, true)
+		})
+
+		it('does nothing if the backup was already synced', async () => {
+			atom.config.set('sync-settings.hiddenSettings._lastBackupTime', '2020-01-02T00:00:00Z')
+			await poller.check()
+
+			expect(syncSettings.checkBackup).not.toHaveBeenCalled()
+		})
+
+		it('does not check in backup mode', async () => {
+			atom.config.set('sync-settings.autoCheckForUpdatedBackup', 'backup')
+			await poller.check()
+
+			expect(backupLocation.get).not.toHaveBeenCalled()
+		})
+	})
+})
@@ -0,0 +1,87 @@
+const backupQueue = require('../lib/utils/backup-queue')
+
+describe('backupQueue', () => {
+	beforeEach(async () => {
+		await backupQueue.clear()
+	})
+
+	afterEach(async () => {
+		await backupQueue.clear()
+	})
+
+	it('is empty', async () => {
+		expect(await backupQueue.get()).toBeNull()
+		expect(backupQueue.isPending()).toBe(false)
+	})
+
+	it('queues files', async () => {
+		await backupQueue.add({
+			'settings.json': { content: Buffer.from('{}') },
+			'image.png': { content: Buffer.from([0, 1, 2, 255]) },
+			'deleted.txt': { content: null },
+		})
+		const queue = await backupQueue.get()
+
+		expect(backupQueue.isPending()).toBe(true)
+		expect(queue.files['settings.json'].content.toString()).toBe('{}')
+		expect([...queue.files['image.png'].content]).toEqual([0, 1, 2, 255])
+		expect(queue.files['deleted.txt'].content).toBeNull()
+	})
+
+	it('adds files to the queue', async () => {
+		await backupQueue.add({
+			'settings.json': { content: Buffer.from('old') },
+			'keymap.cson': { content: Buffer.from('# keymap') },
+		})
+		await backupQueue.add({
+			'settings.json': { content: Buffer.from('new') },
+		})
+		const queue = await backupQueue.get()
+
+		expect(queue.files['settings.json'].content.toString()).toBe('new')
+		expect(queue.files['keymap.cson'].content.toString()).toBe('# keymap')
+	})
+
+	it('keeps the latest snapshot', async () => {
+		await backupQueue.add({ 'settings.json': { content: Buffer.from('old') } }, { settings: { old: true }, packages: null, files: {} })
+		await backupQueue.add({ 'settings.json': { content: Buffer.from('new') } }, { settings: { new: true }, packages: null, files: {} })
+		await backupQueue.add({ 'keymap.cson': { content: Buffer.from('# keymap') } })
+		const queue = await backupQueue.get()
+
+		expect(queue.snapshot.settings).toEqual({ new: true })
+	})
+
+	it('keeps queues for each profile and location apart', async () => {
+		atom.config.set('sync-settings.hiddenSettings._activeProfile', 'work')
+		await backupQueue.add({ 'settings.json': { content: Buffer.from('work') } })
+		const target = backupQueue.getTarget()
+		try {
+			atom.config.set('sync-settings.hiddenSettings._activeProfile', 'home')
+			expect(await backupQueue.get()).toBeNull()
+
+			atom.config.set('sync-settings.hiddenSettings._activeProfile', 'work')
+			atom.config.set('sync-settings.encryptBackup', true)
+			expect(await backupQueue.get()).toBeNull()
+
+			atom.config.set('sync-settings.encryptBackup', false)
+			const queue = await backupQueue.get()
+			expect(queue.target).toBe(target)
+			expect(queue.files['settings.json'].content.toString()).toBe('work')
+		} finally {
+			await backupQueue.clear(target)
+			atom.config.unset('sync-settings.hiddenSettings._activeProfile')
+			atom.config.unset('sync-settings.encryptBackup')
+		}
+	})
+
+	it('notifies on change', async () => {
+		const callback = jasmine.createSpy('callback')
+		const disposable = backupQueue.onDidChange(callback)
+		await backupQueue.add({ 'settings.json': { content: Buffer.from('{}') } })
+		await backupQueue.add({ 'settings.json': { content: Buffer.from('{}') } })
+		await backupQueue.clear()
+		disposable.dispose()
+
+		expect(callback.calls.allArgs()).toEqual([[true], [false]])
+	})
+})
@@ -0,0 +1,89 @@
+const os = require('os')
+const conditions = require('../lib/utils/conditions')
+
+describe('conditions', () => {
+	describe('parseVariantName', () => {
+		it('parses variants', () => {
+			expect(conditions.parseVariantName(`settings.json#platform-${process.platform}`)).toEqual({
+				name: 'settings.json',
+				type: 'platform',
+				value: process.platform,
+				matches: true,
+			})
+			expect(conditions.parseVariantName('dir\\file.txt#hostname-other-host').matches).toBe(false)
+		})
+
+		it('ignores shared files', () => {
+			expect(conditions.parseVariantName('settings.json')).toBeNull()
+		})
+	})
+
+	describe('addFileVariants', () => {
+		it('names files specific to this machine', () => {
+			atom.config.set('sync-settings.platformSpecificFiles', ['dir/*.txt'])
+			atom.config.set('sync-settings.hostnameSpecificFiles', ['dir/host.txt'])
+
+			expect(Object.keys(conditions.addFileVariants({ 'dir\\file.txt': {}, 'dir\\host.txt': {}, 'other.txt': {} }))).toEqual([
+				`dir\\file.txt#platform-${process.platform}`,
+				`dir\\host.txt#hostname-${os.hostname()}`,
+				'other.txt',
+			])
+		})
+	})
+
+	describe('splitSettings', () => {
+		it('moves settings to variants', () => {
+			atom.config.set('sync-settings.platformSpecificSettings', ['linter-*.executablePath'])
+			const settings = {
+				'*': { 'linter-eslint': { executablePath: '/eslint', fix: true } },
+				'.source.js': { 'linter-eslint': { executablePath: '/js/eslint' } },
+			}
+
+			const result = conditions.splitSettings(settings)
+
+			expect(result.settings).toEqual({
+				'*': { 'linter-eslint': { fix: true } },
+				'.source.js': { 'linter-eslint': {} },
+			})
+			expect(result.variants).toEqual({
+				[`settings.json#platform-${process.platform}`]: {
+					'*': { 'linter-eslint': { executablePath: '/eslint' } },
+					'.source.js': { 'linter-eslint': { executablePath: '/js/eslint' } },
+				},
+			})
+			expect(settings['*']['linter-eslint'].executablePath).toBe('/eslint')
+		})
+
+		it('prefers hostname variants', () => {
+			atom.config.set('sync-settings.platformSpecificSettings', ['package'])
+			atom.config.set('sync-settings.hostnameSpecificSettings', ['package.path'])
+
+			const result = conditions.splitSettings({ '*': { package: { path: '/path', other: 1 } } })
+
+			expect(result.variants[`settings.json#hostname-${os.hostname()}`]).toEqual({ '*': { package: { path: '/path' } } })
+			expect(result.variants[`settings.json#platform-${process.platform}`]).toEqual({ '*': { package: { other: 1 } } })
+		})
+	})
+
+	describe('addSettingsVariants', () => {
+		it('adds the variant of this machine', () => {
+			atom.config.set('sync-settings.platformSpecificSettings', ['package.path'])
+
+			const settings = conditions.addSettingsVariants({ '*': { package: { path: '/shared', other: 1 } } }, {
+				platform: { '*': { package: { path: '/variant' } } },
+			}, {})
+
+			expect(settings).toEqual({ '*': { package: { path: '/variant', other: 1 } } })
+		})
+
+		it('keeps local values without a variant', () => {
+			atom.config.set('sync-settings.platformSpecificSettings', ['package.path'])
+
+			const settings = conditions.addSettingsVariants({ '*': { package: { other: 1 } } }, {}, {
+				'*': { package: { path: '/local', other: 2 } },
+			})
+
+			expect(settings).toEqual({ '*': { package: { path: '/local', other: 1 } } })
+		})
+	})
+})
@@ -0,0 +1,102 @@
+const fs = require('fs-extra')
+const credentials = require('../lib/utils/credentials')
+const storage = require('../lib/utils/storage')
+
+function memoryBackend () {
+	const passwords = {}
+	return {
+		passwords,
+		getPassword: async (service, account) => passwords[`${service}/${account}`] || null,
+		setPassword: async (service, account, password) => {
+			passwords[`${service}/${account}`] = password
+		},
+		deletePassword: async (service, account) => delete passwords[`${service}/${account}`],
+	}
+}
+
+function brokenBackend () {
+	const fail = async () => {
+		throw new Error('Cannot autolaunch D-Bus without X11 $DISPLAY')
+	}
+	return { getPassword: fail, setPassword: fail, deletePassword: fail }
+}
+
+describe('credentials', () => {
+	let disposable
+	afterEach(async () => {
+		if (disposable) {
+			disposable.dispose()
+			disposable = null
+		}
+		await storage.remove('credentials.json')
+		await storage.remove('credentials.key')
+	})
+
+	it('stores credentials in the keychain', async () => {
+		const backend = memoryBackend()
+		disposable = credentials.useBackend(backend)
+		await credentials.set('token', 'secret')
+
+		expect(backend.passwords[`${credentials.SERVICE}/token`]).toBe('secret')
+		expect(await credentials.get('token')).toBe('secret')
+
+		await credentials.delete('token')
+
+		expect(await credentials.get('token')).toBeNull()
+	})
+
+	it('falls back to an encrypted file', async () => {
+		atom.config.set('sync-settings.storeCredentialsInFile', true)
+		disposable = credentials.useBackend(brokenBackend())
+		expect(await credentials.set('token', 'secret')).toBe(true)
+		const content = await fs.readFile(storage.getPath('credentials.json'), 'utf8')
+
+		expect(content).not.toContain('secret')
+		expect(await credentials.get('token')).toBe('secret')
+	})
+
+	it('does not store credentials without a keychain by default', async () => {
+		expect(credentials.getBackend()).toBeNull()
+		expect(await credentials.set('token', 'secret')).toBe(false)
+
+		expect(await fs.pathExists(storage.getPath('credentials.json'))).toBe(false)
+		expect(await fs.pathExists(storage.getPath('credentials.key'))).toBe(false)
+	})
+
+	it('reads the encrypted file when the keychain has nothing', async () => {
+		await credentials.fileBackend.setPassword(credentials.SERVICE, 'token', 'secret')
+		disposable = credentials.useBackend(memoryBackend())
+
+		expect(await credentials.get('token')).toBe('secret')
+	})
+
+	it('uses the key from the environment', async () => {
+		const key = process.env.SYNC_SETTINGS_CREDENTIALS_KEY
+		try {
+			process.env.SYNC_SETTINGS_CREDENTIALS_KEY = 'environment key'
+			await credentials.fileBackend.setPassword(credentials.SERVICE, 'token', 'secret')
+
+			expect(await fs.pathExists(storage.getPath('credentials.key'))).toBe(false)
+			expect(await credentials.fileBackend.getPassword(credentials.SERVICE, 'token')).toBe('secret')
+		} finally {
+			process.env.SYNC_SETTINGS_CREDENTIALS_KEY = key || ''
+		}
+	})
+
+	it('moves the token out of the settings', async () => {
+		disposable = credentials.useBackend(memoryBackend())
+		atom.config.set('sync-settings.personalAccessToken', ' token ')
+
+		expect(await credentials.migrate()).toBe(true)
+		expect(atom.config.get('sync-settings.personalAccessToken')).toBeFalsy()
+		expect(await credentials.get('personalAccessToken')).toBe('token')
+		expect(await credentials.migrate()).toBe(false)
+	})
+
+	it('keeps the token in the settings without a keychain', async () => {
+		atom.config.set('sync-settings.personalAccessToken', 'token')
+
+		expect(await credentials.migrate()).toBe(false)
+		expect(atom.config.get('sync-settings.personalAccessToken')).toBe('token')
+	})
+})
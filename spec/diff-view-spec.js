@@ -1,3 +1,4 @@
+const etch = require('etch')
 const DiffView = require('../lib/views/diff-view')
 const SyncSettings = require('../lib/sync-settings')
 const gistApi = require('./gist-api-mock')
@@ -82,6 +83,41 @@ describe('DiffView', () => {
 		})
 	})
 
+	it('should show the layer of a value', async () => {
+		await view.update({
+			diff: {
+				settings: { added: [{ keyPath: 'base-package.setting', value: true }] },
+				origins: { settings: { 'base-package.setting': 'base-gist' }, packages: {} },
+				localTime: '',
+				backupTime: '',
+			},
+		})
+		const layer = view.element.querySelector('.diff-view-settings .diff-view-layer').textContent
+		expect(layer).toBe(' (base: base-gist)')
+	})
+
+	it('should group settings by scope', async () => {
+		await view.update({
+			diff: {
+				settings: {
+					added: [
+						{ scopeSelector: '.source.python', keyPath: 'editor.tabLength', value: 4 },
+						{ scopeSelector: '*', keyPath: 'editor.tabLength', value: 2 },
+					],
+				},
+				origins: { settings: { '.source.python editor.tabLength': 'base-gist' }, packages: {} },
+				localTime: '',
+				backupTime: '',
+			},
+		})
+		const scopes = view.element.querySelectorAll('.diff-view-settings .diff-view-scope')
+		expect(scopes.length).toBe(2)
+		expect(scopes[0].querySelector('h3').textContent).toBe('Global')
+		expect(scopes[0].querySelector('.diff-view-layer')).toBeNull()
+		expect(scopes[1].querySelector('h3').textContent).toBe('.source.python')
+		expect(scopes[1].querySelector('.backup').textContent).toBe('editor.tabLength: 4 (base: base-gist)')
+	})
+
 	it('should show packages', async () => {
 		await view.update({ diff: { packages: {}, localTime: '', backupTime: '' } })
 		expect(elementsExist(view)).toEqual({
@@ -94,6 +130,44 @@ describe('DiffView', () => {
 		})
 	})
 
+	it('should show package version policies', async () => {
+		await view.update({
+			diff: {
+				packages: {
+					updated: {
+						minimap: {
+							local: { version: '5.0.0' },
+							backup: { version: '4.1.0', policy: '^4.0.0' },
+						},
+					},
+				},
+				localTime: '',
+				backupTime: '',
+			},
+		})
+
+		expect(view.element.querySelector('.diff-view-packages .local').textContent).toBe('minimap@5.0.0')
+		expect(view.element.querySelector('.diff-view-packages .backup').textContent).toBe('minimap@4.1.0 (^4.0.0)')
+	})
+
+	it('should show enabled and disabled packages', async () => {
+		await view.update({
+			diff: {
+				packages: {
+					disabled: {
+						minimap: { version: '4.1.0', disabled: true },
+					},
+				},
+				localTime: '',
+				backupTime: '',
+			},
+		})
+
+		const states = view.element.querySelector('.diff-view-package-states')
+		expect(states.querySelector('.local').textContent).toBe('minimap enabled')
+		expect(states.querySelector('.backup').textContent).toBe('minimap disabled')
+	})
+
 	it('should show files', async () => {
 		await view.update({ diff: { files: {}, localTime: '', backupTime: '' } })
 		expect(elementsExist(view)).toEqual({
@@ -132,6 +206,7 @@ describe('DiffView', () => {
 				}),
 				error: null,
 			})
+			view.syncSettings.dispose()
 		})
 	})
 
@@ -166,6 +241,42 @@ describe('DiffView', () => {
 			expect(view.syncSettings.backup).toHaveBeenCalled()
 		})
 
+		it('calls merge', async () => {
+			view.syncSettings = {
+				merge: jasmine.createSpy('merge'),
+			}
+			await view.update({ diff: {} })
+			buttons.querySelector('.merge').click()
+			expect(view.syncSettings.merge).toHaveBeenCalled()
+		})
+
+		it('calls applySelection', async () => {
+			view.syncSettings = {
+				applySelection: jasmine.createSpy('applySelection'),
+			}
+			spyOn(view, 'refresh')
+			await view.update({
+				diff: {
+					settings: { added: [{ keyPath: 'some-package.setting', value: true }] },
+					localTime: '',
+					backupTime: '',
+				},
+			})
+			expect(buttons.querySelector('.apply-selection').disabled).toBe(true)
+
+			view.element.querySelector('.diff-view-choice .backup').click()
+			await etch.getScheduler().getNextUpdatePromise()
+			expect(view.props.selection.settings).toEqual({ 'some-package.setting': 'backup' })
+			expect(buttons.querySelector('.apply-selection').disabled).toBe(false)
+
+			buttons.querySelector('.apply-selection').click()
+			expect(view.syncSettings.applySelection).toHaveBeenCalledWith({
+				settings: { 'some-package.setting': 'backup' },
+				packages: {},
+				files: {},
+			})
+		})
+
 		it('calls viewBackup', () => {
 			view.syncSettings = {
 				viewBackup: jasmine.createSpy('viewBackup'),
@@ -0,0 +1,45 @@
+const encryption = require('../lib/utils/encryption')
+
+describe('encryption', () => {
+	it('encrypts and decrypts files', async () => {
+		const encrypted = await encryption.encryptFiles({
+			'init.coffee': { content: Buffer.from('# init') },
+		}, 'passphrase')
+
+		expect(encryption.isEncrypted(encrypted['init.coffee'].content)).toBe(true)
+		expect(encrypted['init.coffee'].content.toString()).not.toContain('# init')
+
+		const decrypted = await encryption.decryptFiles(encrypted, 'passphrase')
+		expect(decrypted['init.coffee'].content.toString()).toBe('# init')
+	})
+
+	it('keeps files without content', async () => {
+		const encrypted = await encryption.encryptFiles({
+			'init.coffee': { content: null },
+		}, 'passphrase')
+
+		expect(encrypted['init.coffee'].content).toBeNull()
+	})
+
+	it('does not decrypt files that are not encrypted', async () => {
+		const decrypted = await encryption.decryptFiles({
+			README: { content: Buffer.from('# readme') },
+		}, 'passphrase')
+
+		expect(decrypted.README.content.toString()).toBe('# readme')
+	})
+
+	it('rejects with wrong passphrase', async () => {
+		const encrypted = await encryption.encryptFiles({
+			'init.coffee': { content: Buffer.from('# init') },
+		}, 'passphrase')
+
+		let error
+		try {
+			await encryption.decryptFiles(encrypted, 'wrong')
+		} catch (err) {
+			error = err
+		}
+		expect(error).toBeDefined()
+	})
+})
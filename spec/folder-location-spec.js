@@ -0,0 +1,73 @@
+const folderLocation = require('../lib/location/folder')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+describe('folder location', () => {
+	let folderPath
+	beforeEach(async () => {
+		folderPath = path.join(os.tmpdir(), `atom-sync-settings-folder-${Date.now()}`)
+		atom.config.set('sync-settings.folderPath', folderPath)
+		await folderLocation.create()
+	})
+
+	afterEach(async () => {
+		await fs.remove(folderPath)
+		atom.config.unset('sync-settings.folderPath')
+	})
+
+	it('creates the folder', async () => {
+		expect(await fs.pathExists(path.join(folderPath, 'README'))).toBe(true)
+	})
+
+	it('returns correct properties', async () => {
+		const data = await folderLocation.get()
+		expect(Object.keys(data.files)).toEqual(['README'])
+		await folderLocation.update({
+			'init.coffee': {
+				content: Buffer.from('# init'),
+			},
+		})
+		const data2 = await folderLocation.get()
+		expect(data2).toEqual({
+			files: {
+				README: jasmine.any(Object),
+				'init.coffee': jasmine.any(Object),
+			},
+			time: jasmine.stringMatching(/^\d\d\d\d-\d\d-\d\dT\d\d:\d\d:\d\d.\d\d\dZ$/),
+		})
+		expect(data2.files.README.content.toString()).toBe('# Generated by Sync Settings for Atom\n\n<https://github.com/atom-community/sync-settings>')
+		expect(data2.files['init.coffee'].content.toString()).toBe('# init')
+	})
+
+	it('keeps file names with path separators inside the folder', async () => {
+		await folderLocation.update({
+			'..\\test.tmp': {
+				content: Buffer.from('test.tmp'),
+			},
+		})
+		const data = await folderLocation.get()
+
+		expect(data.files['..\\test.tmp'].content.toString()).toBe('test.tmp')
+		expect(await fs.pathExists(path.join(folderPath, '..', 'test.tmp'))).toBe(false)
+	})
+
+	it('removes files without content', async () => {
+		await folderLocation.update({ 'init.coffee': { content: Buffer.from('# init') } })
+		await folderLocation.update({ 'init.coffee': { content: null } })
+		const data = await folderLocation.get()
+
+		expect(data.files['init.coffee']).not.toBeDefined()
+	})
+
+	it('deletes the backup', async () => {
+		await folderLocation.delete()
+
+		expect(await fs.pathExists(folderPath)).toBe(false)
+		expect(atom.config.get('sync-settings.folderPath')).toBe('')
+	})
+
+	it('returns file url', async () => {
+		expect(await folderLocation.getUrl()).toMatch(/^file:\/\//)
+	})
+})
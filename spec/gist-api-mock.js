@@ -32,16 +32,27 @@ module.exports = {
 		return gistId ? `https://gist.github.com/${gistId}` : ''
 	},
 
-	async get () {
+	async get (options = {}) {
 		const gistId = atom.config.get('sync-settings.gistId')
 		if (!(gistId in gistCache)) {
 			throw new Error(JSON.stringify({ message: 'Not Found' }))
 		}
 
+		let history = gistCache[gistId].history
+		let files = gistCache[gistId].files
+		if (options.version) {
+			const index = history.findIndex(h => h.version === options.version)
+			if (index === -1) {
+				throw new Error(JSON.stringify({ message: 'Not Found' }))
+			}
+			history = history.slice(index)
+			files = gistCache[gistId].revisions[options.version]
+		}
+
 		return {
-			files: gistCache[gistId].files,
-			time: gistCache[gistId].history[0].committed_at,
-			history: gistCache[gistId].history,
+			files,
+			time: history[0].committed_at,
+			history,
 		}
 	},
 
@@ -55,8 +66,10 @@ module.exports = {
 		const gist = gistCache[gistId]
 		gist.description = atom.config.get('sync-settings.gistDescription')
 		gist.files = mergeFiles(gist.files, files)
+		const version = randomHexString()
+		gist.revisions[version] = mergeFiles({}, gist.files)
 		gist.history.unshift({
-			version: randomHexString(),
+			version,
 			committed_at: time,
 		})
 
@@ -81,12 +94,15 @@ module.exports = {
 	async create () {
 		const gistId = `mock-${randomHexString()}`
 		atom.config.set('sync-settings.gistId', gistId)
+		const version = randomHexString()
+		const files = { README: { content: Buffer.from('# Generated by Sync Settings for Atom\n\n<https://github.com/atom-community/sync-settings>') } }
 		const gist = {
 			id: gistId,
 			description: atom.config.get('sync-settings.gistDescription'),
-			files: { README: { content: Buffer.from('# Generated by Sync Settings for Atom\n\n<https://github.com/atom-community/sync-settings>') } },
+			files,
+			revisions: { [version]: mergeFiles({}, files) },
 			history: [{
-				version: randomHexString(),
+				version,
 				committed_at: new Date().toISOString(),
 			}],
 			html_url: `https://${gistId}`,
@@ -0,0 +1,118 @@
+const gitLocation = require('../lib/location/git')
+const { execFile } = require('child_process')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+function git (cwd, ...args) {
+	return new Promise((resolve, reject) => {
+		execFile('git', args, { cwd }, (error, stdout) => error ? reject(error) : resolve(stdout.trim()))
+	})
+}
+
+describe('git location', () => {
+	let tmpPath, repoPath
+	beforeEach(async () => {
+		tmpPath = path.join(os.tmpdir(), `atom-sync-settings-git-${Date.now()}`)
+		repoPath = path.join(tmpPath, 'repo')
+		atom.config.set('sync-settings.gitRepoPath', repoPath)
+		atom.config.set('sync-settings.gitRemote', '')
+	})
+
+	afterEach(async () => {
+		await fs.remove(tmpPath)
+		atom.config.unset('sync-settings.gitRepoPath')
+		atom.config.unset('sync-settings.gitRemote')
+	})
+
+	it('creates a repository', async () => {
+		await gitLocation.create()
+
+		expect(await fs.pathExists(path.join(repoPath, '.git'))).toBe(true)
+		expect(await fs.pathExists(path.join(repoPath, 'README'))).toBe(true)
+	})
+
+	it('commits on every update', async () => {
+		await gitLocation.create()
+		await gitLocation.update({ 'init.coffee': { content: Buffer.from('# init') } })
+		await gitLocation.update({ 'init.coffee': { content: Buffer.from('# init') } })
+		const data = await gitLocation.get()
+
+		expect(data).toEqual({
+			files: {
+				README: jasmine.any(Object),
+				'init.coffee': jasmine.any(Object),
+			},
+			time: jasmine.stringMatching(/^\d\d\d\d-\d\d-\d\dT\d\d:\d\d:\d\d.\d\d\dZ$/),
+			history: jasmine.any(Array),
+		})
+		expect(data.history.length).toBe(3)
+		expect(data.history[0]).toEqual({
+			version: await git(repoPath, 'rev-parse', 'HEAD'),
+			committed_at: data.time,
+			files: [],
+		})
+		expect(data.history[1].files).toEqual(['init.coffee'])
+		expect(data.files['init.coffee'].content.toString()).toBe('# init')
+	})
+
+	it('gets a revision', async () => {
+		await gitLocation.create()
+		await gitLocation.update({ 'init.coffee': { content: Buffer.from('# init') } })
+		const version = await git(repoPath, 'rev-parse', 'HEAD')
+		await gitLocation.update({ 'init.coffee': { content: Buffer.from('# init 2') } })
+		const data = await gitLocation.get({ version })
+
+		expect(data.files['init.coffee'].content.toString()).toBe('# init')
+		expect(data.history[0].version).toBe(version)
+	})
+
+	it('ignores other files and commits in the repository', async () => {
+		await fs.ensureDir(path.join(repoPath, 'folder'))
+		await git(repoPath, 'init')
+		await fs.writeFile(path.join(repoPath, '.bashrc'), '# bashrc')
+		await fs.writeFile(path.join(repoPath, 'folder', 'file.txt'), 'file')
+		await git(repoPath, 'add', '.')
+		await git(repoPath, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '--message', 'Add dotfiles')
+		await gitLocation.create()
+		await gitLocation.update({ 'init.coffee': { content: Buffer.from('# init') } })
+		const version = await git(repoPath, 'rev-parse', 'HEAD')
+		const data = await gitLocation.get()
+		const revision = await gitLocation.get({ version })
+
+		expect(Object.keys(data.files)).toEqual(['README', 'init.coffee'])
+		expect(Object.keys(revision.files)).toEqual(['README', 'init.coffee'])
+		expect(data.history.length).toBe(2)
+	})
+
+	it('pushes to the remote', async () => {
+		const remotePath = path.join(tmpPath, 'remote.git')
+		await fs.ensureDir(remotePath)
+		await git(remotePath, 'init', '--bare')
+		atom.config.set('sync-settings.gitRemote', remotePath)
+		await gitLocation.create()
+		await gitLocation.update({ 'init.coffee': { content: Buffer.from('# init') } })
+
+		expect(await git(remotePath, 'rev-parse', 'HEAD')).toBe(await git(repoPath, 'rev-parse', 'HEAD'))
+	})
+
+	it('deletes the backup files and keeps the repository', async () => {
+		await fs.ensureDir(repoPath)
+		await git(repoPath, 'init')
+		await fs.writeFile(path.join(repoPath, '.bashrc'), '# bashrc')
+		await git(repoPath, 'add', '.bashrc')
+		await git(repoPath, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '--message', 'Add bashrc')
+		await fs.writeFile(path.join(repoPath, 'notes.txt'), 'untracked')
+		await gitLocation.create()
+		await gitLocation.update({ 'init.coffee': { content: Buffer.from('# init') } })
+		await gitLocation.delete()
+
+		expect(await fs.pathExists(path.join(repoPath, '.git'))).toBe(true)
+		expect(await fs.pathExists(path.join(repoPath, '.bashrc'))).toBe(true)
+		expect(await fs.pathExists(path.join(repoPath, 'notes.txt'))).toBe(true)
+		expect(await fs.pathExists(path.join(repoPath, 'README'))).toBe(false)
+		expect(await fs.pathExists(path.join(repoPath, 'init.coffee'))).toBe(false)
+		expect(await git(repoPath, 'ls-files')).toBe('.bashrc')
+		expect(atom.config.get('sync-settings.gitRepoPath')).toBe('')
+	})
+})
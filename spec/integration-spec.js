@@ -52,6 +52,55 @@ describe('integration', () => {
 			expect(SyncSettings.prototype.restore).toHaveBeenCalled()
 		})
 
+		it('backup category', async () => {
+			spyOn(SyncSettings.prototype, 'backup')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:backup-settings')
+
+			expect(SyncSettings.prototype.backup).toHaveBeenCalledWith(false, { only: 'settings' })
+		})
+
+		it('restore category', async () => {
+			spyOn(SyncSettings.prototype, 'restore')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:restore-files')
+
+			expect(SyncSettings.prototype.restore).toHaveBeenCalledWith(false, { only: 'files' })
+		})
+
+		it('dry run restore', async () => {
+			spyOn(SyncSettings.prototype, 'dryRunRestore')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:dry-run-restore')
+
+			expect(SyncSettings.prototype.dryRunRestore).toHaveBeenCalled()
+		})
+
+		it('undo restore', async () => {
+			spyOn(SyncSettings.prototype, 'undoRestore')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:undo-restore')
+
+			expect(SyncSettings.prototype.undoRestore).toHaveBeenCalled()
+		})
+
+		it('flush backup queue', async () => {
+			spyOn(SyncSettings.prototype, 'flushBackupQueue')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:flush-backup-queue')
+
+			expect(SyncSettings.prototype.flushBackupQueue).toHaveBeenCalled()
+		})
+
+		it('discard backup queue', async () => {
+			spyOn(SyncSettings.prototype, 'discardBackupQueue')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:discard-backup-queue')
+
+			expect(SyncSettings.prototype.discardBackupQueue).toHaveBeenCalled()
+		})
+
+		it('merge', async () => {
+			spyOn(SyncSettings.prototype, 'merge')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:merge')
+
+			expect(SyncSettings.prototype.merge).toHaveBeenCalled()
+		})
+
 		it('view backup', async () => {
 			spyOn(SyncSettings.prototype, 'viewBackup')
 			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:view-backup')
@@ -66,6 +115,20 @@ describe('integration', () => {
 			expect(SyncSettings.prototype.checkBackup).toHaveBeenCalled()
 		})
 
+		it('restore revision', async () => {
+			spyOn(SyncSettings.prototype, 'viewRevisions')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:restore-revision')
+
+			expect(SyncSettings.prototype.viewRevisions).toHaveBeenCalled()
+		})
+
+		it('switch profile', async () => {
+			spyOn(SyncSettings.prototype, 'switchProfile')
+			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:switch-profile')
+
+			expect(SyncSettings.prototype.switchProfile).toHaveBeenCalled()
+		})
+
 		it('fork backup', async () => {
 			spyOn(SyncSettings.prototype, 'fork')
 			await atom.commands.dispatch(atom.views.getView(atom.workspace), 'sync-settings:fork')
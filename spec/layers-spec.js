@@ -0,0 +1,67 @@
+const layers = require('../lib/utils/layers')
+
+describe('layers', () => {
+	describe('mergeSettings', () => {
+		it('deep merges settings', () => {
+			const merged = layers.mergeSettings({
+				'*': { editor: { fontSize: 14, tabLength: 2 }, core: { themes: ['one-dark-ui'] } },
+			}, {
+				'*': { editor: { fontSize: 16 }, core: { themes: ['one-light-ui', 'one-light-syntax'] } },
+			})
+
+			expect(merged).toEqual({
+				'*': { editor: { fontSize: 16, tabLength: 2 }, core: { themes: ['one-light-ui', 'one-light-syntax'] } },
+			})
+		})
+	})
+
+	describe('subtractSettings', () => {
+		it('keeps only changed settings', () => {
+			const settings = layers.subtractSettings({
+				'*': { editor: { fontSize: 16, tabLength: 2 }, core: { themes: ['one-dark-ui'] } },
+			}, {
+				'*': { editor: { fontSize: 14, tabLength: 2 }, core: { themes: ['one-dark-ui'] } },
+			})
+
+			expect(settings).toEqual({ '*': { editor: { fontSize: 16 } } })
+		})
+	})
+
+	describe('subtractPackages', () => {
+		it('keeps only changed packages', () => {
+			const packages = layers.subtractPackages({
+				same: { version: '1.0.0' },
+				updated: { version: '2.0.0' },
+				added: { version: '1.0.0' },
+			}, {
+				same: { version: '1.0.0' },
+				updated: { version: '1.0.0' },
+			})
+
+			expect(packages).toEqual({
+				updated: { version: '2.0.0' },
+				added: { version: '1.0.0' },
+			})
+		})
+	})
+
+	describe('addLayer', () => {
+		it('tracks the layer of each value', () => {
+			let data = { settings: null, packages: null, origins: { settings: {}, packages: {} } }
+			data = layers.addLayer(data, 'team', {
+				settings: { '*': { editor: { fontSize: 14, tabLength: 2 } } },
+				packages: { minimap: { version: '1.0.0' } },
+			})
+			data = layers.addLayer(data, null, {
+				settings: { '*': { editor: { fontSize: 16 } } },
+			})
+
+			expect(data.settings).toEqual({ '*': { editor: { fontSize: 16, tabLength: 2 } } })
+			expect(data.packages).toEqual({ minimap: { version: '1.0.0' } })
+			expect(data.origins).toEqual({
+				settings: { 'editor.tabLength': 'team' },
+				packages: { minimap: 'team' },
+			})
+		})
+	})
+})
@@ -0,0 +1,134 @@
+const path = require('path')
+const LiveBackup = require('../lib/utils/live-backup')
+const merge = require('../lib/utils/merge')
+const { config } = require('../lib/config')
+
+describe('LiveBackup', () => {
+	let liveBackup, syncSettings, localData
+	beforeEach(async () => {
+		for (const name of ['liveBackupDelay', 'liveBackupInterval', 'syncKeymap', 'extraFiles', 'extraFilesGlob', 'ignoreFilesGlob']) {
+			atom.config.set(`sync-settings.${name}`, config[name].default)
+		}
+		localData = {
+			settings: { '*': { editor: { fontSize: 14 } } },
+			packages: null,
+			files: null,
+		}
+		syncSettings = {
+			restoring: false,
+			getLocalData: async () => localData,
+			backup: jasmine.createSpy('backup'),
+		}
+		liveBackup = new LiveBackup(syncSettings)
+		await liveBackup.start()
+	})
+
+	afterEach(() => {
+		liveBackup.dispose()
+	})
+
+	describe('isSyncedFile', () => {
+		it('matches default files', async () => {
+			expect(await liveBackup.isSyncedFile(atom.keymaps.getUserKeymapPath())).toBe(true)
+		})
+
+		it('ignores files not synced', async () => {
+			atom.config.set('sync-settings.syncKeymap', false)
+
+			expect(await liveBackup.isSyncedFile(atom.keymaps.getUserKeymapPath())).toBe(false)
+			expect(await liveBackup.isSyncedFile(path.join(atom.getConfigDirPath(), 'unknown.txt'))).toBe(false)
+		})
+
+		it('matches extra files', async () => {
+			atom.config.set('sync-settings.extraFiles', ['test.txt'])
+			atom.config.set('sync-settings.extraFilesGlob', ['**/*.md'])
+			atom.config.set('sync-settings.ignoreFilesGlob', ['ignored/**'])
+
+			expect(await liveBackup.isSyncedFile(path.join(atom.getConfigDirPath(), 'test.txt'))).toBe(true)
+			expect(await liveBackup.isSyncedFile(path.join(atom.getConfigDirPath(), 'docs', 'notes.md'))).toBe(true)
+			expect(await liveBackup.isSyncedFile(path.join(atom.getConfigDirPath(), 'ignored', 'notes.md'))).toBe(false)
+		})
+	})
+
+	describe('schedule', () => {
+		beforeEach(() => {
+			jasmine.clock().install()
+			jasmine.clock().mockDate()
+			spyOn(liveBackup, 'backup')
+		})
+
+		afterEach(() => {
+			jasmine.clock().uninstall()
+		})
+
+		it('debounces changes', () => {
+			atom.config.set('sync-settings.liveBackupDelay', 2)
+			liveBackup.schedule()
+			jasmine.clock().tick(1000)
+			liveBackup.schedule()
+			jasmine.clock().tick(1999)
+
+			expect(liveBackup.backup).not.toHaveBeenCalled()
+
+			jasmine.clock().tick(1)
+
+			expect(liveBackup.backup).toHaveBeenCalledTimes(1)
+		})
+
+		it('waits for the interval since the last backup', () => {
+			atom.config.set('sync-settings.liveBackupDelay', 1)
+			atom.config.set('sync-settings.liveBackupInterval', 60)
+			liveBackup.lastBackup = Date.now()
+			liveBackup.schedule()
+			jasmine.clock().tick(59999)
+
+			expect(liveBackup.backup).not.toHaveBeenCalled()
+
+			jasmine.clock().tick(1)
+
+			expect(liveBackup.backup).toHaveBeenCalledTimes(1)
+		})
+	})
+
+	describe('backup', () => {
+		it('backs up changes', async () => {
+			spyOn(merge, 'getSnapshot').and.returnValue(Promise.resolve(merge.createSnapshot({ settings: { '*': { editor: { fontSize: 12 } } } })))
+			await liveBackup.backup()
+
+			expect(syncSettings.backup).toHaveBeenCalledWith(true, { quiet: true })
+		})
+
+		it('does not back up without changes since the last sync', async () => {
+			spyOn(merge, 'getSnapshot').and.returnValue(Promise.resolve(merge.createSnapshot(localData)))
+			await liveBackup.backup()
+
+			expect(syncSettings.backup).not.toHaveBeenCalled()
+		})
+
+		it('waits for a restore to finish', async () => {
+			syncSettings.restoring = true
+			spyOn(liveBackup, 'schedule')
+			await liveBackup.backup()
+
+			expect(liveBackup.schedule).toHaveBeenCalled()
+			expect(syncSettings.backup).not.toHaveBeenCalled()
+		})
+
+		it('logs errors', async () => {
+			spyOn(merge, 'getSnapshot').and.returnValue(Promise.resolve(merge.createSnapshot({ settings: {} })))
+			syncSettings.backup.and.returnValue(Promise.reject(new Error('failed')))
+			spyOn(console, 'error')
+			await liveBackup.backup()
+
+			expect(console.error).toHaveBeenCalled()
+			expect(liveBackup.running).toBe(false)
+		})
+
+		it('does nothing when stopped', async () => {
+			liveBackup.stop()
+			await liveBackup.backup()
+
+			expect(syncSettings.backup).not.toHaveBeenCalled()
+		})
+	})
+})
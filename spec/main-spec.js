@@ -1,11 +1,33 @@
 const SyncSettings = require('../lib/sync-settings')
 const main = require('../lib/main')
+const credentials = require('../lib/utils/credentials')
 
 describe('main', () => {
 	beforeEach(() => {
 		main.deactivate()
 	})
 
+	describe('provideCredentials', () => {
+		it('keeps the credentials of other packages apart', async () => {
+			const service = main.provideCredentials()
+			const disposable = credentials.useBackend({
+				passwords: {},
+				async getPassword (service, account) { return this.passwords[account] || null },
+				async setPassword (service, account, password) { this.passwords[account] = password },
+				async deletePassword (service, account) { return delete this.passwords[account] },
+			})
+			try {
+				await credentials.set('personalAccessToken', 'token')
+				await service.set('personalAccessToken', 'other')
+
+				expect(await service.get('personalAccessToken')).toBe('other')
+				expect(await credentials.get('personalAccessToken')).toBe('token')
+			} finally {
+				disposable.dispose()
+			}
+		})
+	})
+
 	describe('syncSettingslocationService', () => {
 		it('add/remove locationServices', () => {
 			const locationService1 = Symbol('locationService1')
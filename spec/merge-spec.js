@@ -0,0 +1,161 @@
+const merge = require('../lib/utils/merge')
+
+describe('merge', () => {
+	describe('mergeData', () => {
+		it('classifies settings', () => {
+			const result = merge.mergeData({
+				settings: { '*': { editor: { fontSize: 16, tabLength: 2, softWrap: true } } },
+			}, {
+				settings: { '*': { editor: { fontSize: 14, tabLength: 4, softWrap: false } } },
+			}, {
+				settings: { '*': { editor: { fontSize: 14, tabLength: 2, softWrap: null } } },
+			})
+
+			expect(result.changes.settings).toEqual({
+				'editor.fontSize': 'local',
+				'editor.tabLength': 'backup',
+				'editor.softWrap': 'conflict',
+			})
+			expect(result.local.settings).toEqual({ '*': { editor: { fontSize: 16, tabLength: 4, softWrap: true } } })
+			expect(result.backup.settings).toEqual({ '*': { editor: { fontSize: 16, tabLength: 4, softWrap: false } } })
+			expect(result.base.settings).toEqual({ '*': { editor: { fontSize: 16, tabLength: 4, softWrap: null } } })
+		})
+
+		it('classifies scoped settings separately', () => {
+			const result = merge.mergeData({
+				settings: { '*': { editor: { tabLength: 2 } }, '.source.python': { editor: { tabLength: 4 } } },
+			}, {
+				settings: { '*': { editor: { tabLength: 2 } }, '.source.python': { editor: { tabLength: 8 } } },
+			}, {
+				settings: { '*': { editor: { tabLength: 2 } }, '.source.python': { editor: { tabLength: 4 } } },
+			})
+
+			expect(result.changes.settings).toEqual({
+				'.source.python editor.tabLength': 'backup',
+			})
+			expect(result.local.settings).toEqual({ '*': { editor: { tabLength: 2 } }, '.source.python': { editor: { tabLength: 8 } } })
+		})
+
+		it('classifies packages', () => {
+			const result = merge.mergeData({
+				packages: { local: { version: '1.0.0' }, same: { version: '1.0.0' } },
+			}, {
+				packages: { backup: { version: '1.0.0' }, same: { version: '1.0.0' } },
+			}, {
+				packages: { same: { version: '1.0.0' } },
+			})
+
+			expect(result.changes.packages).toEqual({
+				local: 'local',
+				backup: 'backup',
+			})
+			expect(Object.keys(result.local.packages)).toEqual(['backup', 'local', 'same'])
+			expect(Object.keys(result.backup.packages)).toEqual(['backup', 'local', 'same'])
+		})
+
+		it('treats a package deleted on one side as a change', () => {
+			const result = merge.mergeData({
+				packages: { same: { version: '1.0.0' } },
+			}, {
+				packages: { deleted: { version: '1.0.0' }, same: { version: '1.0.0' } },
+			}, {
+				packages: { deleted: { version: '1.0.0' }, same: { version: '1.0.0' } },
+			})
+
+			expect(result.changes.packages).toEqual({ deleted: 'local' })
+			expect(Object.keys(result.backup.packages)).toEqual(['same'])
+		})
+
+		it('merges hunks of files changed on both sides', () => {
+			const result = merge.mergeData({
+				files: { 'init.coffee': { path: '/init.coffee', content: Buffer.from('a\nB\nc\nd\ne\nf\n') } },
+			}, {
+				files: { 'init.coffee': { path: '/init.coffee', content: Buffer.from('a\nb\nc\nd\ne\nF\n') } },
+			}, {
+				files: { 'init.coffee': 'a\nb\nc\nd\ne\nf\n' },
+			})
+
+			expect(result.changes.files).toEqual({ 'init.coffee': 'merged' })
+			expect(result.local.files['init.coffee'].content.toString()).toBe('a\nB\nc\nd\ne\nF\n')
+			expect(result.backup.files['init.coffee'].content.toString()).toBe('a\nB\nc\nd\ne\nF\n')
+			expect(result.base.files['init.coffee']).toBe('a\nB\nc\nd\ne\nF\n')
+		})
+
+		it('finds conflicting hunks', () => {
+			const result = merge.mergeData({
+				files: { 'init.coffee': { path: '/init.coffee', content: Buffer.from('a\nlocal\nc\n') } },
+			}, {
+				files: { 'init.coffee': { path: '/init.coffee', content: Buffer.from('a\nbackup\nc\n') } },
+			}, {
+				files: { 'init.coffee': 'a\nb\nc\n' },
+			})
+
+			expect(result.changes.files).toEqual({ 'init.coffee': 'conflict' })
+			expect(result.local.files['init.coffee'].content.toString()).toBe('a\nlocal\nc\n')
+			expect(result.backup.files['init.coffee'].content.toString()).toBe('a\nbackup\nc\n')
+			expect(result.base.files['init.coffee']).toBe('a\nb\nc\n')
+		})
+	})
+
+	describe('selectData', () => {
+		it('takes the selected side of each item', () => {
+			const result = merge.selectData({
+				settings: { '*': { editor: { fontSize: 16, tabLength: 2 } } },
+				packages: { local: { version: '1.0.0' } },
+				files: { 'init.coffee': { path: '/init.coffee', content: Buffer.from('# local') } },
+			}, {
+				settings: { '*': { editor: { fontSize: 14, tabLength: 4 } } },
+				packages: { backup: { version: '1.0.0' } },
+				files: { 'init.coffee': { path: '/init.coffee', content: Buffer.from('# backup') } },
+			}, {
+				settings: { 'editor.fontSize': 'local', 'editor.tabLength': 'backup' },
+				packages: { backup: 'backup', local: 'skip' },
+				files: { 'init.coffee': 'local' },
+			})
+
+			expect(result.local.settings).toEqual({ '*': { editor: { fontSize: 16, tabLength: 4 } } })
+			expect(result.local.packages).toEqual({ backup: { version: '1.0.0' }, local: { version: '1.0.0' } })
+			expect(result.local.files).toEqual({})
+			expect(result.backup.settings).toEqual({ '*': { editor: { fontSize: 16, tabLength: 4 } } })
+			expect(result.backup.packages).toEqual({ backup: { version: '1.0.0' } })
+			expect(result.backup.files['init.coffee'].content.toString()).toBe('# local')
+		})
+
+		it('deletes files missing on the selected side', () => {
+			const localFile = { path: '/local.txt', content: Buffer.from('local') }
+			const result = merge.selectData({
+				files: { 'local.txt': localFile },
+			}, {
+				files: { 'backup.txt': { path: '/backup.txt', content: Buffer.from('backup') } },
+			}, {
+				files: { 'local.txt': 'backup', 'backup.txt': 'local' },
+			})
+
+			expect(result.deleteLocalFiles).toEqual([localFile])
+			expect(result.deleteBackupFiles).toEqual(['backup.txt'])
+		})
+
+		it('does nothing without a selection', () => {
+			const result = merge.selectData({ settings: {} }, { settings: {} }, { settings: {}, packages: {}, files: {} })
+
+			expect(result.local).toBeNull()
+			expect(result.backup).toBeNull()
+		})
+	})
+
+	describe('createSnapshot', () => {
+		it('stores file contents as strings', () => {
+			const snapshot = merge.createSnapshot({
+				settings: { '*': {} },
+				packages: null,
+				files: { 'init.coffee': { path: '/init.coffee', content: Buffer.from('# init') } },
+			})
+
+			expect(snapshot).toEqual({
+				settings: { '*': {} },
+				packages: null,
+				files: { 'init.coffee': '# init' },
+			})
+		})
+	})
+})
@@ -0,0 +1,60 @@
+/* eslint-disable no-template-curly-in-string */
+const os = require('os')
+const path = require('path')
+const placeholders = require('../lib/utils/placeholders')
+
+describe('placeholders', () => {
+	const home = os.homedir()
+
+	describe('substitute', () => {
+		it('replaces the config dir and home dir', () => {
+			expect(placeholders.substitute(path.join(atom.getConfigDirPath(), 'packages'))).toBe('${ATOM_HOME}' + path.sep + 'packages')
+			expect(placeholders.substitute(path.join(home, 'bin'))).toBe('${HOME}' + path.sep + 'bin')
+		})
+
+		it('replaces only whole path segments', () => {
+			expect(placeholders.substitute(`${home}x`)).toBe(`${home}x`)
+		})
+
+		it('replaces the username in paths', () => {
+			const username = os.userInfo().username
+
+			expect(placeholders.substitute(`/mnt/${username}/bin`)).toBe('/mnt/${USER}/bin')
+			expect(placeholders.substitute(username)).toBe(username)
+		})
+	})
+
+	describe('expand', () => {
+		it('expands placeholders', () => {
+			const value = path.join(atom.getConfigDirPath(), 'packages')
+
+			expect(placeholders.expand(placeholders.substitute(value))).toBe(value)
+		})
+	})
+
+	describe('substituteSettings', () => {
+		it('replaces paths in every value', () => {
+			atom.config.set('sync-settings.substitutePaths', true)
+			const settings = placeholders.substituteSettings({ '*': { package: { paths: [home, 1], path: home } } })
+
+			expect(settings).toEqual({ '*': { package: { paths: ['${HOME}', 1], path: '${HOME}' } } })
+		})
+
+		it('keeps settings unchanged by default', () => {
+			expect(placeholders.substituteSettings({ '*': { package: { path: home } } })).toEqual({ '*': { package: { path: home } } })
+		})
+	})
+
+	describe('substituteFile', () => {
+		it('replaces paths in text extra files', () => {
+			atom.config.set('sync-settings.substitutePathsInFiles', true)
+
+			expect(placeholders.substituteFile('dir\\file.sh', Buffer.from(`cd ${home}`)).toString()).toBe('cd ${HOME}')
+			expect(placeholders.substituteFile('init.js', Buffer.from(`cd ${home}`)).toString()).toBe(`cd ${home}`)
+		})
+
+		it('keeps files unchanged by default', () => {
+			expect(placeholders.substituteFile('file.sh', Buffer.from(`cd ${home}`)).toString()).toBe(`cd ${home}`)
+		})
+	})
+})
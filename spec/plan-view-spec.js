@@ -0,0 +1,62 @@
+const PlanView = require('../lib/views/plan-view')
+
+function emptyPlan () {
+	return {
+		settings: { set: [], unset: [] },
+		packages: { install: [], update: [], enable: [], disable: [], uninstall: [] },
+		files: { write: [], delete: [] },
+	}
+}
+
+describe('PlanView', () => {
+	let view
+	beforeEach(() => {
+		view = new PlanView()
+	})
+
+	it('should disable confirm without a plan', () => {
+		expect(view.element.querySelector('.confirm').disabled).toBe(true)
+	})
+
+	it('should show no changes', async () => {
+		await view.update({ plan: emptyPlan() })
+		expect(view.element.querySelector('.plan-view-none')).not.toBeNull()
+	})
+
+	it('should show the plan', async () => {
+		const plan = emptyPlan()
+		plan.settings.set.push({ keyPath: 'editor.fontSize', value: 16, oldValue: 14 })
+		plan.packages.update.push({ name: 'linter', from: '2.0.0', to: '1.0.0', theme: false })
+		plan.packages.disable.push({ name: 'linter-ui-default' })
+		plan.packages.uninstall.push({ name: 'minimap', version: '1.0.0', theme: false })
+		plan.files.delete.push({ name: 'test.tmp', path: '/test.tmp', size: 2048 })
+		await view.update({ plan })
+
+		expect(view.element.querySelector('.plan-view-settings-set li').textContent).toBe('editor.fontSize: 14 → 16')
+		expect(view.element.querySelector('.plan-view-packages-update li').textContent).toBe('linter@2.0.0 → 1.0.0')
+		expect(view.element.querySelector('.plan-view-packages-disable li').textContent).toBe('linter-ui-default')
+		expect(view.element.querySelector('.plan-view-packages-uninstall li').textContent).toBe('minimap@1.0.0')
+		expect(view.element.querySelector('.plan-view-files-delete li').textContent).toBe('/test.tmp (2.0 KB)')
+		expect(view.element.querySelector('.plan-view-settings-unset')).toBeNull()
+	})
+
+	it('should group settings by scope', async () => {
+		const plan = emptyPlan()
+		plan.settings.unset.push({ scopeSelector: '.source.python', keyPath: 'editor.tabLength', oldValue: 4 })
+		await view.update({ plan })
+
+		expect(view.element.querySelector('.plan-view-settings-unset h3').textContent).toBe('.source.python')
+		expect(view.element.querySelector('.plan-view-settings-unset li').textContent).toBe('editor.tabLength: 4')
+	})
+
+	it('calls confirmRestore', async () => {
+		const restoreData = {}
+		view.syncSettings = {
+			confirmRestore: jasmine.createSpy('confirmRestore'),
+		}
+		await view.update({ plan: emptyPlan(), restoreData, options: { only: 'files' } })
+		view.element.querySelector('.confirm').click()
+
+		expect(view.syncSettings.confirmRestore).toHaveBeenCalledWith(restoreData, { only: 'files' })
+	})
+})
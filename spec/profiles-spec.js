@@ -0,0 +1,51 @@
+const profiles = require('../lib/utils/profiles')
+
+describe('profiles', () => {
+	beforeEach(() => {
+		atom.config.unset('sync-settings')
+	})
+
+	afterEach(() => {
+		atom.config.unset('sync-settings')
+	})
+
+	it('defaults to the default profile', () => {
+		expect(profiles.getActiveProfile()).toBe('default')
+		expect(profiles.hasProfiles()).toBe(false)
+		expect(profiles.getProfileNames()).toEqual(['default'])
+	})
+
+	it('creates a new profile without the backup location', () => {
+		atom.config.set('sync-settings.gistId', 'work-gist')
+		atom.config.set('sync-settings.syncInit', false)
+
+		const created = profiles.switchProfile('home')
+
+		expect(created).toBe(true)
+		expect(profiles.getActiveProfile()).toBe('home')
+		expect(profiles.getProfileNames()).toEqual(['default', 'home'])
+		expect(atom.config.get('sync-settings.gistId')).toBeFalsy()
+		expect(atom.config.get('sync-settings.syncInit')).toBe(false)
+	})
+
+	it('restores the settings of an existing profile', () => {
+		atom.config.set('sync-settings.gistId', 'work-gist')
+		profiles.switchProfile('home')
+		atom.config.set('sync-settings.gistId', 'home-gist')
+
+		const created = profiles.switchProfile('default')
+
+		expect(created).toBe(false)
+		expect(atom.config.get('sync-settings.gistId')).toBe('work-gist')
+
+		profiles.switchProfile('home')
+
+		expect(atom.config.get('sync-settings.gistId')).toBe('home-gist')
+	})
+
+	it('trims the profile name', () => {
+		profiles.switchProfile('  home ')
+
+		expect(profiles.getActiveProfile()).toBe('home')
+	})
+})
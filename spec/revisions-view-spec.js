@@ -0,0 +1,75 @@
+const RevisionsView = require('../lib/views/revisions-view')
+const SyncSettings = require('../lib/sync-settings')
+const gistApi = require('./gist-api-mock')
+
+describe('RevisionsView', () => {
+	let view
+	beforeEach(() => {
+		view = new RevisionsView()
+	})
+
+	it('should show loading', () => {
+		expect(view.element.querySelector('.revisions-view-loading')).not.toBeNull()
+		expect(view.element.querySelector('.revisions-view-error')).toBeNull()
+	})
+
+	it('should show error', async () => {
+		await view.update({ revisions: null, error: 'test' })
+		expect(view.element.querySelector('.revisions-view-loading')).toBeNull()
+		expect(view.element.querySelector('.revisions-view-error pre').textContent).toBe('test')
+	})
+
+	it('should show revisions', async () => {
+		await view.update({
+			revisions: [
+				{ version: 'abcdef1234', committed_at: '2020-01-01T00:00:00.000Z', files: ['init.coffee'] },
+				{ version: '1234abcdef', committed_at: '2019-01-01T00:00:00.000Z', change_status: { additions: 1, deletions: 2 } },
+			],
+		})
+		const revisions = view.element.querySelectorAll('.revisions-view-revision')
+		expect(revisions.length).toBe(2)
+		expect(revisions[0].querySelector('.revisions-view-version').textContent).toBe('abcdef1')
+		expect(revisions[0].querySelector('.revisions-view-files').textContent).toBe('init.coffee')
+		expect(revisions[1].querySelector('.revisions-view-files').textContent).toBe('+1 -2')
+	})
+
+	describe('refresh', () => {
+		it('load revisions', async () => {
+			await gistApi.create()
+			atom.config.set('sync-settings.checkForUpdatedBackup', false)
+			atom.config.set('sync-settings.useOtherLocation', true)
+			view.syncSettings = new SyncSettings()
+			view.syncSettings.useLocationService(gistApi)
+			spyOn(view, 'update')
+			await view.refresh()
+			expect(view.update).toHaveBeenCalledWith({ revisions: null, error: null })
+			expect(view.update).toHaveBeenCalledWith({
+				revisions: [jasmine.objectContaining({ version: jasmine.any(String) })],
+				error: null,
+			})
+			view.syncSettings.dispose()
+		})
+	})
+
+	describe('buttons', () => {
+		beforeEach(async () => {
+			view.syncSettings = {
+				restore: jasmine.createSpy('restore'),
+				viewDiff: jasmine.createSpy('viewDiff'),
+			}
+			await view.update({
+				revisions: [{ version: 'abcdef1234', committed_at: '2020-01-01T00:00:00.000Z' }],
+			})
+		})
+
+		it('calls restore with version', () => {
+			view.element.querySelector('.revisions-view-revision .restore').click()
+			expect(view.syncSettings.restore).toHaveBeenCalledWith(false, { version: 'abcdef1234' })
+		})
+
+		it('calls viewDiff with version', () => {
+			view.element.querySelector('.revisions-view-revision .diff').click()
+			expect(view.syncSettings.viewDiff).toHaveBeenCalledWith(null, 'abcdef1234')
+		})
+	})
+})
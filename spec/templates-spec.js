@@ -0,0 +1,67 @@
+const os = require('os')
+const templates = require('../lib/utils/templates')
+const storage = require('../lib/utils/storage')
+
+describe('templates', () => {
+	afterEach(async () => {
+		await storage.remove('templates.json')
+	})
+
+	describe('render', () => {
+		it('replaces variables', () => {
+			process.env.SYNC_SETTINGS_TEMPLATE = 'value'
+			try {
+				expect(templates.render('{{platform}} {{ hostname }} {{env.SYNC_SETTINGS_TEMPLATE}}')).toBe(`${process.platform} ${os.hostname()} value`)
+			} finally {
+				delete process.env.SYNC_SETTINGS_TEMPLATE
+			}
+		})
+
+		it('keeps blocks matching this machine', () => {
+			const source = `a\n{{#platform ${process.platform}}}\nb\n{{/platform}}\n{{^platform ${process.platform}}}\nc\n{{/platform}}\n{{#platform other,${process.platform}}}d{{/platform}}`
+
+			expect(templates.render(source)).toBe('a\nb\nd')
+		})
+
+		it('renders nested blocks', () => {
+			const source = `{{#platform ${process.platform}}}a{{#hostname other-host}}b{{/hostname}}{{/platform}}`
+
+			expect(templates.render(source)).toBe('a')
+		})
+
+		it('keeps unknown tags', () => {
+			expect(templates.render('{{unknown}}')).toBe('{{unknown}}')
+			expect(templates.isTemplate('{{unknown}}')).toBe(false)
+		})
+	})
+
+	describe('files', () => {
+		const files = () => ({
+			'init.js': { path: '/init.js', content: Buffer.from('// {{platform}}') },
+			'image.png': { path: '/image.png', content: Buffer.from([0, 1, 2]) },
+		})
+
+		it('does not render without renderTemplates', async () => {
+			expect((await templates.renderFiles(files()))['init.js'].content.toString()).toBe('// {{platform}}')
+		})
+
+		it('renders files and keeps their templates', async () => {
+			atom.config.set('sync-settings.renderTemplates', true)
+			const rendered = await templates.renderFiles(files())
+
+			expect(rendered['init.js'].content.toString()).toBe(`// ${process.platform}`)
+			expect([...rendered['image.png'].content]).toEqual([0, 1, 2])
+
+			const sources = await templates.addTemplates(rendered)
+			expect(sources['init.js'].content.toString()).toBe('// {{platform}}')
+		})
+
+		it('backs up edited files', async () => {
+			atom.config.set('sync-settings.renderTemplates', true)
+			await templates.renderFiles(files())
+
+			const sources = await templates.addTemplates({ 'init.js': { path: '/init.js', content: Buffer.from('// edited') } })
+			expect(sources['init.js'].content.toString()).toBe('// edited')
+		})
+	})
+})
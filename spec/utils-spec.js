@@ -105,10 +105,10 @@ describe('utils', () => {
 				},
 			}
 			expect(utils.settingsToKeyPaths(settings)).toEqual([
-				{ keyPath: 'sync-settings.gistDescription', value: 'description' },
-				{ keyPath: 'sync-settings.gistId', value: 'id' },
-				{ keyPath: 'sync-settings.syncSettings', value: true },
-				{ keyPath: '.source.ruby.editor.tabLength', value: 6 },
+				{ scopeSelector: '*', keyPath: 'sync-settings.gistDescription', value: 'description' },
+				{ scopeSelector: '*', keyPath: 'sync-settings.gistId', value: 'id' },
+				{ scopeSelector: '*', keyPath: 'sync-settings.syncSettings', value: true },
+				{ scopeSelector: '.source.ruby', keyPath: 'editor.tabLength', value: 6 },
 			])
 		})
 
@@ -127,15 +127,61 @@ describe('utils', () => {
 					},
 				},
 			}
-			expect(utils.settingsToKeyPaths(settings, '', true)).toEqual([
-				{ keyPath: 'sync-settings.gistDescription', value: 'description', oldValue: 'Atom Settings Backup by https://atom.io/packages/sync-settings' },
-				{ keyPath: 'sync-settings.gistId', value: 'id', oldValue: '' },
-				{ keyPath: 'sync-settings.syncSettings', value: true, oldValue: true },
-				{ keyPath: '.source.ruby.editor.tabLength', value: 6, oldValue: undefined },
+			expect(utils.settingsToKeyPaths(settings, true)).toEqual([
+				{ scopeSelector: '*', keyPath: 'sync-settings.gistDescription', value: 'description', oldValue: 'Atom Settings Backup by https://atom.io/packages/sync-settings' },
+				{ scopeSelector: '*', keyPath: 'sync-settings.gistId', value: 'id', oldValue: '' },
+				{ scopeSelector: '*', keyPath: 'sync-settings.syncSettings', value: true, oldValue: true },
+				{ scopeSelector: '.source.ruby', keyPath: 'editor.tabLength', value: 6, oldValue: undefined },
+			])
+		})
+
+		it('gets oldValue of scoped settings', () => {
+			atom.config.set('editor.tabLength', 4, { scopeSelector: '.source.python' })
+
+			expect(utils.settingsToKeyPaths({ '.source.python': { editor: { tabLength: 2 } } }, true)).toEqual([
+				{ scopeSelector: '.source.python', keyPath: 'editor.tabLength', value: 2, oldValue: 4 },
+			])
+		})
+
+		it('gets settings of a deleted scope', () => {
+			atom.config.set('editor.tabLength', 4, { scopeSelector: '.source.python' })
+
+			expect(utils.settingsToKeyPaths({ '.source.python': undefined })).toEqual([
+				{ scopeSelector: '.source.python', keyPath: 'editor.tabLength', value: 4 },
 			])
 		})
 	})
 
+	describe('settingName', () => {
+		it('names global and scoped settings', () => {
+			expect(utils.settingName('*', 'editor.tabLength')).toBe('editor.tabLength')
+			expect(utils.settingName('.source.python', 'editor.tabLength')).toBe('.source.python editor.tabLength')
+		})
+	})
+
+	describe('updateSettings', () => {
+		it('replaces the settings of each scope', () => {
+			atom.config.set('editor.tabLength', 4, { scopeSelector: '.source.python' })
+			atom.config.set('editor.softWrap', true, { scopeSelector: '.source.python' })
+			atom.config.set('editor.tabLength', 8, { scopeSelector: '.source.go' })
+
+			utils.updateSettings({ '*': {}, '.source.python': { editor: { tabLength: 2 } } })
+
+			expect(atom.config.get('editor.tabLength', { scope: ['source.python'] })).toBe(2)
+			expect(atom.config.get('editor.softWrap', { scope: ['source.python'] })).toBe(false)
+			expect(atom.config.get('editor.tabLength', { scope: ['source.go'] })).toBe(2)
+		})
+
+		it('keeps disallowed settings of scopes not in the backup', () => {
+			atom.config.set('sync-settings.disallowedSettings', ['editor.tabLength'])
+			atom.config.set('editor.tabLength', 8, { scopeSelector: '.source.go' })
+
+			utils.updateSettings({ '*': {} })
+
+			expect(atom.config.get('editor.tabLength', { scope: ['source.go'] })).toBe(8)
+		})
+	})
+
 	describe('fileContent', () => {
 		const tmpPath = path.join(os.tmpdir(), 'atom-sync-settings.tmp')
 
@@ -225,7 +271,242 @@ describe('utils', () => {
 		})
 	})
 
+	describe('getPackagePolicies', () => {
+		it('parses policies', () => {
+			atom.config.set('sync-settings.packageVersionPolicies', ['minimap@^4.0.0', 'linter@latest', 'invalid'])
+
+			expect(utils.getPackagePolicies()).toEqual({
+				minimap: '^4.0.0',
+				linter: 'latest',
+			})
+		})
+
+		it('adds policies to packages', async () => {
+			atom.config.set('sync-settings.packageVersionPolicies', ['about@frozen'])
+
+			const json = await utils.getPackages()
+
+			expect(json.about.policy).toBe('frozen')
+		})
+	})
+
+	describe('satisfiesPolicy', () => {
+		it('matches the exact version by default', () => {
+			expect(utils.satisfiesPolicy('1.0.0', { version: '1.0.0' })).toBe(true)
+			expect(utils.satisfiesPolicy('1.0.1', { version: '1.0.0' })).toBe(false)
+			expect(utils.satisfiesPolicy('1.0.1', { version: '1.0.0', policy: 'exact' })).toBe(false)
+		})
+
+		it('matches semver ranges', () => {
+			expect(utils.satisfiesPolicy('1.3.0', { version: '1.2.0', policy: '^1.2.0' })).toBe(true)
+			expect(utils.satisfiesPolicy('2.0.0', { version: '1.2.0', policy: '^1.2.0' })).toBe(false)
+		})
+
+		it('matches any version for latest and frozen', () => {
+			expect(utils.satisfiesPolicy('0.1.0', { version: '1.0.0', policy: 'latest' })).toBe(true)
+			expect(utils.satisfiesPolicy('2.0.0', { version: '1.0.0', policy: 'frozen' })).toBe(true)
+		})
+	})
+
+	describe('getInstallVersion', () => {
+		it('installs the backed up version', () => {
+			expect(utils.getInstallVersion({ version: '1.2.0', policy: '^1.2.0' })).toBe('1.2.0')
+			expect(utils.getInstallVersion({ version: '1.2.0', policy: 'frozen' })).toBe('1.2.0')
+		})
+
+		it('installs the latest version', () => {
+			expect(utils.getInstallVersion({ version: '1.2.0', policy: 'latest' })).toBeNull()
+		})
+	})
+
+	describe('getOutdatedPackages', () => {
+		it('upgrades and downgrades to the backed up version', () => {
+			atom.config.set('sync-settings.downgradePackages', true)
+			const updates = utils.getOutdatedPackages({
+				older: { version: '2.0.0' },
+				newer: { version: '1.0.0', theme: true },
+				same: { version: '1.0.0' },
+				missing: { version: '1.0.0' },
+			}, {
+				older: { version: '1.0.0' },
+				newer: { version: '1.1.0', theme: true },
+				same: { version: '1.0.0' },
+			})
+
+			expect(updates).toEqual([
+				{ name: 'older', version: '2.0.0', from: '1.0.0', to: '2.0.0' },
+				{ name: 'newer', version: '1.0.0', theme: true, from: '1.1.0', to: '1.0.0' },
+			])
+		})
+
+		it('does not downgrade by default', () => {
+			const updates = utils.getOutdatedPackages({
+				older: { version: '2.0.0' },
+				newer: { version: '1.0.0' },
+			}, {
+				older: { version: '1.0.0' },
+				newer: { version: '1.1.0' },
+			})
+
+			expect(updates.map(pkg => pkg.name)).toEqual(['older'])
+		})
+
+		it('honors version policies', () => {
+			atom.config.set('sync-settings.downgradePackages', true)
+			const updates = utils.getOutdatedPackages({
+				range: { version: '1.2.0', policy: '^1.2.0' },
+				'out-of-range': { version: '1.2.0', policy: '^1.2.0' },
+				frozen: { version: '2.0.0', policy: 'frozen' },
+				latest: { version: '1.0.0', policy: 'latest' },
+				git: { version: '2.0.0', apmInstallSource: { type: 'git', source: 'repo/git' } },
+			}, {
+				range: { version: '1.3.0' },
+				'out-of-range': { version: '2.0.0' },
+				frozen: { version: '1.0.0' },
+				latest: { version: '1.0.0' },
+				git: { version: '1.0.0' },
+			}, [{ name: 'latest', latestVersion: '1.5.0' }])
+
+			expect(updates.map(({ name, to }) => ({ name, to }))).toEqual([
+				{ name: 'out-of-range', to: '1.2.0' },
+				{ name: 'latest', to: '1.5.0' },
+			])
+		})
+
+		it('keeps the backed up version with installLatestVersion', () => {
+			atom.config.set('sync-settings.installLatestVersion', true)
+			const updates = utils.getOutdatedPackages({
+				same: { version: '1.0.0' },
+				older: { version: '2.0.0' },
+			}, {
+				same: { version: '1.0.0' },
+				older: { version: '1.0.0' },
+			}, [{ name: 'same', latestVersion: '3.0.0' }, { name: 'older', latestVersion: '3.0.0' }])
+
+			expect(updates.map(({ name, to }) => ({ name, to }))).toEqual([
+				{ name: 'older', to: '2.0.0' },
+			])
+		})
+	})
+
+	describe('updateOutdatedPackages', () => {
+		beforeEach(() => {
+			atom.notifications.clear()
+			spyOn(console, 'info')
+			spyOn(utils, 'getPackages').and.returnValue({ minimap: { version: '1.0.0' } })
+		})
+
+		it('summarizes the updated packages', async () => {
+			spyOn(utils.packageManager, 'update').and.callFake((pkg, version, cb) => cb())
+			await utils.updateOutdatedPackages({ minimap: { version: '2.0.0' } })
+
+			expect(utils.packageManager.update).toHaveBeenCalledWith(jasmine.objectContaining({ name: 'minimap' }), '2.0.0', jasmine.any(Function))
+			const notifications = atom.notifications.getNotifications()
+			expect(notifications[notifications.length - 1].getType()).toBe('success')
+			expect(notifications[notifications.length - 1].getDetail()).toBe('minimap: 1.0.0 → 2.0.0')
+		})
+
+		it('warns about failed updates', async () => {
+			spyOn(console, 'error')
+			spyOn(utils.packageManager, 'update').and.callFake((pkg, version, cb) => cb(new Error('failed')))
+			await utils.updateOutdatedPackages({ minimap: { version: '2.0.0' } })
+
+			const notifications = atom.notifications.getNotifications()
+			expect(notifications[notifications.length - 1].getType()).toBe('warning')
+			expect(notifications[notifications.length - 1].getMessage()).toBe('Sync-Settings: finished updating packages (1 failed: minimap)')
+		})
+
+		it('does not update packages when updatePackages is unchecked', async () => {
+			atom.config.set('sync-settings.updatePackages', false)
+			spyOn(utils.packageManager, 'update')
+			await utils.updateOutdatedPackages({ minimap: { version: '2.0.0' } })
+
+			expect(utils.packageManager.update).not.toHaveBeenCalled()
+		})
+	})
+
+	describe('package states', () => {
+		it('adds the state of every package', async () => {
+			spyOn(atom.packages, 'isPackageDisabled').and.callFake(name => name === 'about')
+
+			const json = await utils.getPackages()
+
+			expect(json.about.disabled).toBe(true)
+			expect(Object.values(json).filter(pkg => pkg.disabled).length).toBe(1)
+			expect(Object.values(json).every(pkg => typeof pkg.disabled === 'boolean')).toBe(true)
+		})
+
+		it('enables packages from a backup with every package enabled', () => {
+			spyOn(atom.packages, 'isPackageDisabled').and.callFake(name => name === 'test')
+
+			expect(utils.diffPackageStates({ test: { version: '1.0.0', disabled: true } }, { test: { version: '1.0.0', disabled: false } })).toEqual({
+				enabled: { test: { version: '1.0.0', disabled: false } },
+				disabled: {},
+			})
+			expect(utils.getPackageStateChanges({ test: { version: '1.0.0', disabled: false } })).toEqual({ enable: ['test'], disable: [] })
+		})
+
+		it('keeps core.disabledPackages local when syncing packages', () => {
+			atom.config.set('sync-settings.syncPackages', true)
+			expect(utils.isDisallowedSetting('core.disabledPackages')).toBe(true)
+
+			atom.config.set('sync-settings.syncPackages', false)
+			expect(utils.isDisallowedSetting('core.disabledPackages')).toBe(false)
+		})
+
+		it('diffs enabled and disabled packages', () => {
+			const states = utils.diffPackageStates({
+				enabled: { version: '1.0.0', disabled: true },
+				disabled: { version: '1.0.0', disabled: false },
+				same: { version: '1.0.0', disabled: false },
+			}, {
+				enabled: { version: '1.0.0', disabled: false },
+				disabled: { version: '1.0.0', disabled: true },
+				same: { version: '1.0.0', disabled: false },
+				added: { version: '1.0.0', disabled: true },
+			})
+
+			expect(states).toEqual({
+				enabled: { enabled: { version: '1.0.0', disabled: false } },
+				disabled: { disabled: { version: '1.0.0', disabled: true } },
+			})
+		})
+
+		it('ignores legacy backups without package states', () => {
+			spyOn(atom.packages, 'isPackageDisabled').and.returnValue(true)
+
+			expect(utils.diffPackageStates({ test: { version: '1.0.0', disabled: true } }, { test: { version: '1.0.0' } })).toEqual({ enabled: {}, disabled: {} })
+			expect(utils.getPackageStateChanges({ test: { version: '1.0.0' } })).toEqual({ enable: [], disable: [] })
+		})
+
+		it('enables and disables packages', () => {
+			spyOn(console, 'info')
+			spyOn(atom.packages, 'isPackageDisabled').and.callFake(name => name === 'enable')
+			spyOn(atom.packages, 'enablePackage')
+			spyOn(atom.packages, 'disablePackage')
+
+			utils.applyPackageStates({
+				enable: { version: '1.0.0', disabled: false },
+				disable: { version: '1.0.0', disabled: true },
+				same: { version: '1.0.0', disabled: false },
+			})
+
+			expect(atom.packages.enablePackage.calls.allArgs()).toEqual([['enable']])
+			expect(atom.packages.disablePackage.calls.allArgs()).toEqual([['disable']])
+		})
+	})
+
 	describe('addFilteredSettings', () => {
+		it('keeps settings that are not allowed', function () {
+			atom.config.set('sync-settings.allowedSettings', ['package'])
+			atom.config.set('dummy', false)
+
+			const settings = utils.addFilteredSettings({ '*': { dummy: true, package: { dummy: 1 } } })
+
+			expect(settings['*'].dummy).toBe(false)
+			expect(settings['*'].package.dummy).toBe(1)
+		})
+
 		it('adds disallowed settings', function () {
 			atom.config.set('sync-settings.disallowedSettings', ['dummy', 'package.dummy', 'package.setting\\.with\\.dots', 'packge.very.nested.setting'])
 			atom.config.set('dummy', false)
@@ -240,9 +521,102 @@ describe('utils', () => {
 			expect(settings['*'].package['setting.with.dots']).toBe('')
 			expect(settings['*'].packge.very.nested.setting).toBe(true)
 		})
+
+		it('adds disallowed settings matching patterns in every scope', function () {
+			atom.config.set('sync-settings.disallowedSettings', ['linter-*.executablePath', '/token$/i'])
+			atom.config.set('linter-eslint.executablePath', '/local/eslint')
+			atom.config.set('linter-eslint.executablePath', '/local/js/eslint', { scopeSelector: '.source.js' })
+			atom.config.set('package.apiToken', 'local')
+
+			const settings = utils.addFilteredSettings({
+				'*': { 'linter-eslint': { executablePath: '/backup/eslint', fix: true }, package: { apiToken: 'backup' } },
+				'.source.js': { 'linter-eslint': { executablePath: '/backup/js/eslint' } },
+			})
+
+			expect(settings['*']['linter-eslint']).toEqual({ executablePath: '/local/eslint', fix: true })
+			expect(settings['*'].package.apiToken).toBe('local')
+			expect(settings['.source.js']['linter-eslint'].executablePath).toBe('/local/js/eslint')
+		})
+	})
+
+	describe('isDisallowedSetting', () => {
+		it('matches key paths', () => {
+			expect(utils.isDisallowedSetting('package.dummy', ['package'])).toBe(true)
+			expect(utils.isDisallowedSetting('package.dummy', ['package.other'])).toBe(false)
+		})
+
+		it('matches wildcards', () => {
+			expect(utils.isDisallowedSetting('linter-eslint.executablePath', ['linter-*.executablePath'])).toBe(true)
+			expect(utils.isDisallowedSetting('linter-eslint.fix', ['linter-*.executablePath'])).toBe(false)
+			expect(utils.isDisallowedSetting('package.very.nested.token', ['**.token'])).toBe(true)
+		})
+
+		it('keeps backup locations local', () => {
+			expect(utils.isDisallowedSetting('sync-settings.folderPath')).toBe(true)
+			expect(utils.isDisallowedSetting('sync-settings.gitRepoPath')).toBe(true)
+			expect(utils.isDisallowedSetting('sync-settings.gitRemote')).toBe(true)
+		})
+
+		it('keeps the secrets allowlist local', () => {
+			expect(utils.isDisallowedSetting('sync-settings.secretsAllowlist')).toBe(true)
+		})
+
+		it('matches regular expressions', () => {
+			expect(utils.isDisallowedSetting('package.apiToken', ['/token$/i'])).toBe(true)
+			expect(utils.isDisallowedSetting('package.apiToken', ['/token$/'])).toBe(false)
+		})
+
+		it('ignores invalid regular expressions', () => {
+			spyOn(console, 'error')
+
+			expect(utils.isDisallowedSetting('package.dummy', ['/(/'])).toBe(false)
+			expect(console.error).toHaveBeenCalled()
+		})
+	})
+
+	describe('isAllowedSetting', () => {
+		it('allows everything without rules', () => {
+			expect(utils.isAllowedSetting('editor.fontSize', [])).toBe(true)
+		})
+
+		it('matches parent key paths', () => {
+			expect(utils.isAllowedSetting('editor.fontSize', ['editor'])).toBe(true)
+			expect(utils.isAllowedSetting('core.themes', ['editor'])).toBe(false)
+		})
+
+		it('matches wildcards', () => {
+			expect(utils.isAllowedSetting('linter-eslint.fix', ['linter-*'])).toBe(true)
+			expect(utils.isAllowedSetting('editor.fontSize', ['*.fontSize'])).toBe(true)
+			expect(utils.isAllowedSetting('editor.invisibles.eol', ['*.eol'])).toBe(false)
+			expect(utils.isAllowedSetting('editor.invisibles.eol', ['**.eol'])).toBe(true)
+			expect(utils.isAllowedSetting('package.setting\\.with\\.dots', ['package.setting\\.with\\.*'])).toBe(true)
+		})
+
+		it('excludes settings', () => {
+			expect(utils.isAllowedSetting('linter-eslint.fix', ['!linter-*'])).toBe(false)
+			expect(utils.isAllowedSetting('editor.fontSize', ['!linter-*'])).toBe(true)
+			expect(utils.isAllowedSetting('editor.fontSize', ['editor', '!editor.fontSize'])).toBe(false)
+			expect(utils.isAllowedSetting('editor.fontSize', ['!editor.fontSize', 'editor'])).toBe(true)
+		})
 	})
 
 	describe('getFilteredSettings', () => {
+		it('keeps only allowed settings', function () {
+			atom.config.set('sync-settings.allowedSettings', ['package', '!package.dummy'])
+			atom.config.set('dummy', false)
+			atom.config.set('package.dummy', 0)
+			atom.config.set('package.other', 1)
+			atom.config.set('package.other', 2, { scopeSelector: '.source.js' })
+			atom.config.set('dummy', true, { scopeSelector: '.source.js' })
+
+			const settings = utils.getFilteredSettings()
+
+			expect(settings['*'].dummy).not.toBeDefined()
+			expect(settings['*'].package).toEqual({ other: 1 })
+			expect(settings['*']['sync-settings']).not.toBeDefined()
+			expect(settings['.source.js']).toEqual({ package: { other: 2 } })
+		})
+
 		it('remove disallowed settings', function () {
 			atom.config.set('sync-settings.disallowedSettings', ['dummy', 'package.dummy', 'package.setting\\.with\\.dots', 'packge.very.nested.setting'])
 			atom.config.set('dummy', false)
@@ -257,5 +631,17 @@ describe('utils', () => {
 			expect(settings['*'].package['setting.with.dots']).not.toBeDefined()
 			expect(settings['*'].packge.very.nested.setting).not.toBeDefined()
 		})
+
+		it('remove disallowed settings matching patterns in every scope', function () {
+			atom.config.set('sync-settings.disallowedSettings', ['*.fontSize'])
+			atom.config.set('editor.fontSize', 20)
+			atom.config.set('editor.fontSize', 16, { scopeSelector: '.source.js' })
+			atom.config.set('editor.tabLength', 4, { scopeSelector: '.source.js' })
+
+			const settings = utils.getFilteredSettings()
+
+			expect(settings['*'].editor.fontSize).not.toBeDefined()
+			expect(settings['.source.js']).toEqual({ editor: { tabLength: 4 } })
+		})
 	})
 })